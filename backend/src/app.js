@@ -0,0 +1,52 @@
+const express = require('express');
+const morgan = require('morgan');
+const cors = require('cors');
+const path = require('path');
+const itemsRouter = require('./routes/items');
+const statsRouter = require('./routes/stats');
+const auditRouter = require('./routes/audit');
+const categoriesRouter = require('./routes/categories');
+const requestContext = require('./middleware/requestContext');
+
+//  EXPRESS APP - Middleware and routes, without connecting or listening
+//
+// Why Separate From index.js:
+// - Tests mount the app with supertest against their own database
+// - index.js stays about startup: MongoDB connection, port, shutdown
+const app = express();
+
+// Middleware - Allow requests from frontend
+app.use(
+  cors({
+    origin: 'http://localhost:3000',
+    // Let the frontend read these (ETag is needed to send If-Match)
+    exposedHeaders: ['ETag', 'X-Request-Id'],
+  })
+);
+// Routes that accept bigger JSON bodies parse them with their own limit
+const OWN_JSON_LIMIT_ROUTES = ['/api/items/import', '/api/items/bulk'];
+const parseJson = express.json();
+app.use((req, res, next) =>
+  OWN_JSON_LIMIT_ROUTES.includes(req.path) ? next() : parseJson(req, res, next)
+);
+// Request logs would drown out test output
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('dev'));
+}
+app.use(requestContext); // Request id + actor for the audit log
+
+// Routes
+app.use('/api/items', itemsRouter);
+app.use('/api/stats', statsRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/categories', categoriesRouter);
+
+// Serve static files in production
+if (process.env.NODE_ENV === 'production') {
+  app.use(express.static('client/build'));
+  app.get('*', (req, res) => {
+    res.sendFile(path.resolve(__dirname, 'client', 'build', 'index.html'));
+  });
+}
+
+module.exports = app;
@@ -1,7 +1,3 @@
-const express = require('express');
-const morgan = require('morgan');
-const cors = require('cors');
-const path = require('path');
 const connectDB = require('./config/db');
 
 // Only require kill-port in development
@@ -12,31 +8,12 @@ try {
   // kill-port not available in production - that's fine
   killPort = null;
 }
-const itemsRouter = require('./routes/items');
-const statsRouter = require('./routes/stats');
 // Removed initRuntimeConfig - external API dependency not needed for assessment
 require('dotenv').config();
+const app = require('./app');
 
-const app = express();
 const PORT = parseInt(process.env.PORT, 10) || 4001;
 
-// Middleware - Allow requests from frontend
-app.use(cors({ origin: 'http://localhost:3000' }));
-app.use(express.json());
-app.use(morgan('dev'));
-
-// Routes
-app.use('/api/items', itemsRouter);
-app.use('/api/stats', statsRouter);
-
-// Serve static files in production
-if (process.env.NODE_ENV === 'production') {
-  app.use(express.static('client/build'));
-  app.get('*', (req, res) => {
-    res.sendFile(path.resolve(__dirname, 'client', 'build', 'index.html'));
-  });
-}
-
 const startServer = async (port) => {
   try {
     // Connect to MongoDB first
@@ -50,6 +27,10 @@ const startServer = async (port) => {
       console.log('   GET  /api/items?q=laptop');
       console.log('   GET  /api/stats');
       console.log('   POST /api/items');
+      console.log('   PUT|PATCH|DELETE /api/items/:id');
+      console.log('   GET  /api/items/trash');
+      console.log('   GET  /api/audit');
+      console.log('   GET|POST /api/categories');
       console.log('💡 MongoDB UI available at: http://localhost:8081');
     });
 
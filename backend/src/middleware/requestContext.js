@@ -0,0 +1,21 @@
+const { randomUUID } = require('crypto');
+
+// 🪪 REQUEST CONTEXT - Request id and actor for every request
+//
+// Why:
+// - The audit log records which request changed an item
+// - A client (or proxy) supplied X-Request-Id is kept so logs line up end to end
+// - The id is echoed back in the response header for support/debugging
+// - actor is "anonymous" until authentication exists
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id =
+    incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  req.actor = 'anonymous';
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = requestContext;
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+// 📜 AUDIT LOG - One document per create/update/delete of an item
+//
+// Why a Separate Collection:
+// - Items stay small; history grows without bloating list queries
+// - Entries are append-only - nothing in the API updates or deletes them
+// - Compound indexes serve both "history of item 5" and "all deletes last week"
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Item fields whose before/after values are recorded
+const AUDITED_FIELDS = [
+  'name',
+  'category',
+  'price',
+  'tags',
+  'attributes',
+  'variants',
+  'images',
+  'stock',
+  'reserved',
+  'lowStockThreshold',
+  'deletedAt',
+];
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: Number,
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: AUDIT_ACTIONS,
+    },
+    // Who made the change - "anonymous" until authentication exists
+    actor: {
+      type: String,
+      required: true,
+      default: 'anonymous',
+    },
+    // X-Request-Id of the HTTP request, to correlate with server logs
+    requestId: {
+      type: String,
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    // Only the fields that changed: { price: { before: 10, after: 12 } }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    versionKey: false,
+    minimize: false, // Keep empty `changes` objects
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret._id;
+        return ret;
+      },
+    },
+  }
+);
+
+AuditLogSchema.index({ itemId: 1, timestamp: -1 });
+AuditLogSchema.index({ timestamp: -1, action: 1 });
+
+// Helper function to pick the audited fields of an item (null = no item)
+function snapshot(item) {
+  if (!item) return null;
+  const source = typeof item.toObject === 'function' ? item.toObject() : item;
+  return Object.fromEntries(
+    AUDITED_FIELDS.map((field) => [field, source[field] ?? null])
+  );
+}
+
+// Helper function to compare two field values
+// Dates by time; tags/attributes by content so an untouched list isn't reported
+function isSameValue(a, b) {
+  if (a instanceof Date && b instanceof Date)
+    return a.getTime() === b.getTime();
+  if (typeof a === 'object' && typeof b === 'object' && a && b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+// Helper function to diff two item states, keeping only changed fields
+function diffItems(before, after) {
+  const from = snapshot(before) || {};
+  const to = snapshot(after) || {};
+  const changes = {};
+  for (const field of AUDITED_FIELDS) {
+    const a = from[field] ?? null;
+    const b = to[field] ?? null;
+    if (!isSameValue(a, b)) changes[field] = { before: a, after: b };
+  }
+  return changes;
+}
+
+// Static method to record item changes
+// - entries: [{ action, before, after }], before/after being item documents,
+//   plain objects or null
+// - context: { actor, requestId } from the request
+// - Pass { session } inside a transaction so a rolled back write leaves no
+//   history behind
+AuditLogSchema.statics.record = async function (
+  entries,
+  context = {},
+  { session = null } = {}
+) {
+  const timestamp = new Date();
+  const docs = entries
+    .map(({ action, before, after }) => ({
+      itemId: (after || before).id,
+      action,
+      actor: context.actor || 'anonymous',
+      requestId: context.requestId,
+      timestamp,
+      changes: diffItems(before, after),
+    }))
+    // An update that set every field to its current value changed nothing
+    .filter(
+      (doc) => doc.action !== 'update' || Object.keys(doc.changes).length > 0
+    );
+  if (docs.length === 0) return [];
+  return this.insertMany(docs, { session });
+};
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
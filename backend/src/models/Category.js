@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// 🗂️ CATEGORY TAXONOMY - Managed categories with a parent/child hierarchy
+//
+// Why Slugs + Ancestors:
+// - slug ("home-office") is the stable id; display names can be renamed
+// - Names are unique case-insensitively, so "Electronics" and "electronics"
+//   can't become two buckets again
+// - ancestors holds every parent slug (root first), so "all descendants of X"
+//   is one indexed query: { ancestors: X }
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Case-insensitive comparison for names (unique index + lookups)
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const CategorySchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 50,
+      match: SLUG_PATTERN,
+    },
+    // Display name - also what items store in their `category` field
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50, // Same limit as Item.category
+    },
+    parent: {
+      type: String,
+      default: null,
+    },
+    ancestors: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+CategorySchema.index(
+  { name: 1 },
+  { unique: true, collation: CASE_INSENSITIVE }
+);
+
+// Helper function to derive a slug from a display name
+// "Home & Office" -> "home-office"
+function slugify(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50)
+    .replace(/-+$/, '');
+}
+
+// Static method to find categories by slug or (case-insensitive) name
+CategorySchema.statics.findByNameOrSlug = function (values) {
+  return this.find({
+    $or: [{ slug: { $in: values.map(slugify) } }, { name: { $in: values } }],
+  }).collation(CASE_INSENSITIVE);
+};
+
+// Static method to expand category names/slugs to their slugs plus the
+// slugs of every descendant - used by the category= list filter
+CategorySchema.statics.expandToSlugs = async function (values) {
+  const matches = await this.findByNameOrSlug(values).lean();
+  const slugs = matches.map((category) => category.slug);
+  if (slugs.length === 0) return [];
+
+  const descendants = await this.find(
+    { ancestors: { $in: slugs } },
+    { slug: 1 }
+  ).lean();
+  return [...new Set([...slugs, ...descendants.map((c) => c.slug)])];
+};
+
+module.exports = mongoose.model('Category', CategorySchema);
+module.exports.SLUG_PATTERN = SLUG_PATTERN;
+module.exports.CASE_INSENSITIVE = CASE_INSENSITIVE;
+module.exports.slugify = slugify;
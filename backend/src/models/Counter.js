@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// 🔢 COUNTERS COLLECTION - Atomic sequence numbers
+//
+// Why a Separate Document per Sequence:
+// - findOneAndUpdate with $inc is atomic on a single document
+// - Concurrent callers always receive distinct values, no read-then-write race
+// - _id is the sequence name (e.g. "itemId"), so lookups hit the primary key
+const CounterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model('Counter', CounterSchema);
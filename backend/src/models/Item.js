@@ -1,4 +1,141 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Items at or below this many available units count as "low stock"
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// 🏷️ TAGS & ATTRIBUTES - limits shared with the API validation
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_ATTRIBUTES = 30;
+const ATTRIBUTE_KEY_PATTERN = /^[A-Za-z][\w-]{0,49}$/;
+const MAX_ATTRIBUTE_VALUE_LENGTH = 200;
+
+// Attribute values keep their JSON type so "size: 42" can be range-compared
+// later and "waterproof: true" isn't the string "true"
+function isAttributeValue(value) {
+  return (
+    (typeof value === 'string' && value.length <= MAX_ATTRIBUTE_VALUE_LENGTH) ||
+    (typeof value === 'number' && Number.isFinite(value)) ||
+    typeof value === 'boolean'
+  );
+}
+
+// 🔎 SEARCH KEYS - the lowercased text from the start of every word, e.g.
+// "Gaming Laptop" -> ["gaming laptop", "laptop"]. An anchored /^lap/ on
+// these finds the items the list search's /\blap/i does, but from an index
+function normalizeSearchText(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function buildSearchKeys(text) {
+  if (typeof text !== 'string') return [];
+  const normalized = normalizeSearchText(text);
+  const keys = new Set();
+  for (const { index } of normalized.matchAll(/\b\w/g)) {
+    keys.add(normalized.slice(index));
+  }
+  return [...keys];
+}
+
+// Helper function to derive the search keys for the name/category in `fields`
+function searchKeysFor(fields) {
+  const keys = {};
+  if (fields.name !== undefined) {
+    keys.nameSearchKeys = buildSearchKeys(fields.name);
+  }
+  if (fields.category !== undefined) {
+    keys.categorySearchKeys = buildSearchKeys(fields.category);
+  }
+  return keys;
+}
+
+// Stock counts are whole units
+const wholeUnits = {
+  validator: Number.isInteger,
+  message: '{PATH} must be a whole number',
+};
+
+// 🎛️ VARIANTS - limits shared with the API validation
+const MAX_VARIANTS = 100;
+const MAX_VARIANT_OPTIONS = 5;
+const MAX_OPTION_VALUE_LENGTH = 50;
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// One sellable version of an item, e.g. { switch: 'Brown' } at its own
+// price with its own stock. Options use the attribute key rules; values are
+// strings, stored with sorted keys so equal combinations compare equal
+const VariantSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: true,
+      trim: true,
+      match: SKU_PATTERN,
+    },
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      validate: {
+        validator: (options) =>
+          options !== null &&
+          typeof options === 'object' &&
+          !Array.isArray(options) &&
+          Object.keys(options).length >= 1 &&
+          Object.keys(options).length <= MAX_VARIANT_OPTIONS &&
+          Object.entries(options).every(
+            ([key, value]) =>
+              ATTRIBUTE_KEY_PATTERN.test(key) &&
+              typeof value === 'string' &&
+              value.length <= MAX_OPTION_VALUE_LENGTH
+          ),
+        message: 'options must map simple keys to short string values',
+      },
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    stock: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: wholeUnits,
+    },
+  },
+  { _id: false } // Addressed by SKU
+);
+
+// 🖼️ IMAGES - metadata only; the files live in the storage backend
+// (see src/storage) under keys derived from the item and image ids
+const MAX_IMAGES = 20;
+
+const ImageSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    // Extension of the stored original ("jpg", "png", ...)
+    extension: {
+      type: String,
+      required: true,
+    },
+    width: Number,
+    height: Number,
+    size: Number, // Bytes of the original
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const ItemSchema = new mongoose.Schema(
   {
@@ -22,11 +159,122 @@ const ItemSchema = new mongoose.Schema(
       maxlength: 50,
       index: true, // Index for efficient category filtering
     },
+    // Slug of the managed Category the display name above belongs to;
+    // filters go through this so renames don't break them
+    categorySlug: {
+      type: String,
+      index: true,
+    },
+    // Derived from name and category (see SEARCH KEYS below) for the
+    // indexed prefix lookup of /api/items/suggest; never sent to clients
+    nameSearchKeys: {
+      type: [String],
+      select: false,
+    },
+    categorySearchKeys: {
+      type: [String],
+      select: false,
+    },
     price: {
       type: Number,
       required: true,
       min: 0,
     },
+    // Free-form labels, stored lowercase so tag=Sale and tag=sale match
+    tags: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          lowercase: true,
+          maxlength: MAX_TAG_LENGTH,
+        },
+      ],
+      default: [],
+      validate: {
+        validator: (tags) => tags.length <= MAX_TAGS,
+        message: `An item can have at most ${MAX_TAGS} tags`,
+      },
+    },
+    // Typed key/value specs: { brand: 'Acme', size: 42, waterproof: true }
+    // A plain object (not an array of pairs) so attr.brand=Acme is simply
+    // { 'attributes.brand': 'Acme' }, served by the wildcard index below
+    attributes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: () => ({}),
+      validate: {
+        validator: (attributes) =>
+          attributes !== null &&
+          typeof attributes === 'object' &&
+          !Array.isArray(attributes) &&
+          Object.keys(attributes).length <= MAX_ATTRIBUTES &&
+          Object.entries(attributes).every(
+            ([key, value]) =>
+              ATTRIBUTE_KEY_PATTERN.test(key) && isAttributeValue(value)
+          ),
+        message:
+          'attributes must map simple keys to string, number or boolean values',
+      },
+    },
+    // Variants have their own price and stock; the item's price stays the
+    // headline ("from") price shown in lists
+    variants: {
+      type: [VariantSchema],
+      default: [],
+      validate: {
+        validator: (variants) => variants.length <= MAX_VARIANTS,
+        message: `An item can have at most ${MAX_VARIANTS} variants`,
+      },
+    },
+    // Display order; the first image is the primary one (list thumbnails)
+    images: {
+      type: [ImageSchema],
+      default: [],
+      validate: {
+        validator: (images) => images.length <= MAX_IMAGES,
+        message: `An item can have at most ${MAX_IMAGES} images`,
+      },
+    },
+    // ⭐ RATINGS - aggregate of the item's reviews (models/Review), updated
+    // with every new review. rating is the average, null until the first one
+    rating: {
+      type: Number,
+      default: null,
+      min: 1,
+      max: 5,
+    },
+    reviewCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: wholeUnits,
+    },
+    // 📦 INVENTORY - units on hand; `reserved` of them are held for orders
+    // available = stock - reserved, kept >= 0 by the atomic stock routes
+    stock: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: wholeUnits,
+    },
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: wholeUnits,
+    },
+    lowStockThreshold: {
+      type: Number,
+      default: DEFAULT_LOW_STOCK_THRESHOLD,
+      min: 0,
+      validate: wholeUnits,
+    },
+    // Soft delete marker - null for live items, set when moved to the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields
@@ -38,6 +286,10 @@ const ItemSchema = new mongoose.Schema(
         delete ret.__v;
         delete ret.createdAt;
         delete ret.updatedAt;
+        delete ret.nameSearchKeys;
+        delete ret.categorySearchKeys;
+        // Only trashed items expose their deletion time
+        if (ret.deletedAt === null) delete ret.deletedAt;
         return ret;
       },
     },
@@ -58,10 +310,179 @@ ItemSchema.index(
   }
 );
 
+// Anchored prefix lookups of /api/items/suggest
+ItemSchema.index({ nameSearchKeys: 1 });
+ItemSchema.index({ categorySearchKeys: 1 });
+
+// Multikey index for tag=, wildcard index for any attr.<key>= filter
+ItemSchema.index({ tags: 1 });
+ItemSchema.index({ 'attributes.$**': 1 });
+
+// SKUs are unique across the catalog. Partial, because items without
+// variants would otherwise all index a missing SKU and collide
+ItemSchema.index(
+  { 'variants.sku': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'variants.sku': { $exists: true } },
+  }
+);
+// Price filters also look at variant prices
+ItemSchema.index({ 'variants.price': 1 });
+// sort=-rating (id is the tiebreaker every sort gets)
+ItemSchema.index({ rating: -1, id: 1 });
+
+//  SOFT DELETE - Trashed items are hidden from every query by default
+//
+// Why Query Middleware:
+// - Routes keep writing plain filters like { id: 5 }; no route can forget
+//   the { deletedAt: null } condition
+// - Opt out per query with .setOptions({ withDeleted: true }), or by filtering
+//   on deletedAt explicitly (the trash listing, restore and purge do this)
+// - Documents stored before soft delete existed have no deletedAt field,
+//   which { deletedAt: null } also matches
+// - Item.bulkWrite() bypasses middleware; the import route handles it itself
+const SOFT_DELETE_QUERIES = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'deleteMany',
+  'deleteOne',
+  'replaceOne',
+  'updateMany',
+  'updateOne',
+];
+
+ItemSchema.pre(SOFT_DELETE_QUERIES, function () {
+  const { withDeleted } = this.getOptions();
+  // Mongoose-only flag - don't forward it to the driver
+  delete this.options.withDeleted;
+  if (withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+});
+
+// Aggregations get the same condition, merged into a leading $match because
+// $text is only allowed in the first stage of a pipeline.
+// Opt out with .option({ withDeleted: true }), as for queries
+ItemSchema.pre('aggregate', function () {
+  const { withDeleted } = this.options;
+  delete this.options.withDeleted;
+  if (withDeleted) return;
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+  if (first && first.$match) {
+    if (!('deletedAt' in first.$match)) {
+      pipeline[0] = { $match: { ...first.$match, deletedAt: null } };
+    }
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
+//  SEARCH KEYS - Kept in step with name and category on every write
+//
+// - save() and insertMany() (the seed) go through validate middleware
+// - Updates read the new name/category from their $set (the category
+//   rename and migration included)
+// - Item.bulkWrite() bypasses middleware; the import adds searchKeysFor()
+// - Items stored before the keys existed: npm run migrate:search-keys
+ItemSchema.pre('validate', function () {
+  if (this.isNew || this.isModified('name')) {
+    this.nameSearchKeys = buildSearchKeys(this.name);
+  }
+  if (this.isNew || this.isModified('category')) {
+    this.categorySearchKeys = buildSearchKeys(this.category);
+  }
+});
+
+ItemSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+  const update = this.getUpdate();
+  if (!update || !update.$set) return;
+  const keys = searchKeysFor(update.$set);
+  if (Object.keys(keys).length > 0) {
+    this.set(keys);
+  }
+});
+
+// Name of the counters document that hands out item ids
+const ITEM_ID_COUNTER = 'itemId';
+
 // Static method to get the next available ID
-ItemSchema.statics.getNextId = async function () {
-  const lastItem = await this.findOne({}, {}, { sort: { id: -1 } });
-  return lastItem ? lastItem.id + 1 : 1;
+// 🔒 ATOMIC ALLOCATION - $inc on the counter document means two concurrent
+// creates can never receive the same id. Ids are gap-tolerant: a failed save
+// simply skips its number. Pass { session } to allocate inside a transaction.
+ItemSchema.statics.getNextId = async function ({ session = null } = {}) {
+  return this.reserveIds(1, { session });
+};
+
+// Static method to reserve a block of `count` consecutive ids in one round trip
+// Returns the first id of the block (used by imports that create many items)
+ItemSchema.statics.reserveIds = async function (
+  count,
+  { session = null } = {}
+) {
+  const increment = () =>
+    Counter.findOneAndUpdate(
+      { _id: ITEM_ID_COUNTER },
+      { $inc: { seq: count } },
+      { new: true, session }
+    );
+
+  let counter = await increment();
+  if (!counter) {
+    // First allocation on this database - start from the current max id
+    await this.syncIdCounter({ session });
+    counter = await increment();
+  }
+  return counter.seq - count + 1;
+};
+
+// Static method to move the counter up to `maxId` before items with ids picked
+// by the caller (imports) are written, so getNextId can't hand those ids out
+// in the meantime. Never moves the counter backwards ($max).
+ItemSchema.statics.claimIds = async function (maxId, { session = null } = {}) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: ITEM_ID_COUNTER },
+    { $max: { seq: maxId } },
+    { session }
+  );
+  if (!counter) {
+    // No counter yet - start it from the stored ids, then claim
+    await this.syncIdCounter({ session });
+    await Counter.updateOne(
+      { _id: ITEM_ID_COUNTER },
+      { $max: { seq: maxId } },
+      { session }
+    );
+  }
+};
+
+// Static method to align the id counter with the highest stored id
+// - Default: only ever moves the counter forward ($max), safe at any time
+// - reset: true sets it to exactly the current max (after a wipe + reseed)
+ItemSchema.statics.syncIdCounter = async function ({
+  reset = false,
+  session = null,
+} = {}) {
+  // Trashed items still own their ids
+  const lastItem = await this.findOne(
+    {},
+    { id: 1 },
+    { sort: { id: -1 }, session, withDeleted: true }
+  );
+  const maxId = lastItem ? lastItem.id : 0;
+
+  // Upsert on _id is retried by MongoDB on a duplicate key race
+  await Counter.updateOne(
+    { _id: ITEM_ID_COUNTER },
+    reset ? { $set: { seq: maxId } } : { $max: { seq: maxId } },
+    { upsert: true, session }
+  );
+  return maxId;
 };
 
 // Instance method to validate price
@@ -70,3 +491,16 @@ ItemSchema.methods.validatePrice = function () {
 };
 
 module.exports = mongoose.model('Item', ItemSchema);
+module.exports.DEFAULT_LOW_STOCK_THRESHOLD = DEFAULT_LOW_STOCK_THRESHOLD;
+module.exports.MAX_TAGS = MAX_TAGS;
+module.exports.MAX_TAG_LENGTH = MAX_TAG_LENGTH;
+module.exports.MAX_ATTRIBUTES = MAX_ATTRIBUTES;
+module.exports.ATTRIBUTE_KEY_PATTERN = ATTRIBUTE_KEY_PATTERN;
+module.exports.isAttributeValue = isAttributeValue;
+module.exports.MAX_VARIANTS = MAX_VARIANTS;
+module.exports.MAX_VARIANT_OPTIONS = MAX_VARIANT_OPTIONS;
+module.exports.MAX_OPTION_VALUE_LENGTH = MAX_OPTION_VALUE_LENGTH;
+module.exports.SKU_PATTERN = SKU_PATTERN;
+module.exports.MAX_IMAGES = MAX_IMAGES;
+module.exports.normalizeSearchText = normalizeSearchText;
+module.exports.searchKeysFor = searchKeysFor;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// 💲 PRICE HISTORY - One document per price change of an item
+//
+// Why Not Just the Audit Log:
+// - The chart needs a compact, price-only series in time order
+// - { itemId, changedAt } index serves it without scanning other changes
+// - oldPrice is null for the price an item was created with
+const PriceChangeSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: Number,
+      required: true,
+    },
+    oldPrice: {
+      type: Number,
+      default: null,
+    },
+    newPrice: {
+      type: Number,
+      required: true,
+    },
+    changedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+  },
+  {
+    versionKey: false,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret._id;
+        return ret;
+      },
+    },
+  }
+);
+
+PriceChangeSchema.index({ itemId: 1, changedAt: 1 });
+
+// Static method to store the price changes among a set of item writes
+// entries: [{ before, after }] (same shape as AuditLog.record); entries
+// whose price is unchanged - or that removed the item - are skipped
+PriceChangeSchema.statics.record = async function (
+  entries,
+  { session = null } = {}
+) {
+  const changedAt = new Date();
+  const docs = entries
+    .filter(({ after }) => after)
+    .map(({ before, after }) => ({
+      itemId: after.id,
+      oldPrice: before ? before.price : null,
+      newPrice: after.price,
+      changedAt,
+    }))
+    .filter((doc) => doc.oldPrice !== doc.newPrice);
+  if (docs.length === 0) return [];
+  return this.insertMany(docs, { session });
+};
+
+module.exports = mongoose.model('PriceChange', PriceChangeSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// ⭐ REVIEWS - One document per customer review of an item
+//
+// Why a Separate Collection:
+// - Reviews grow without bound; embedding them would bloat every item read
+// - The item keeps only the aggregate (rating + reviewCount) that lists
+//   show and sort on, updated atomically with each new review
+// - { itemId, createdAt } serves the paginated newest-first listing
+const MAX_REVIEW_TITLE_LENGTH = 120;
+const MAX_REVIEW_BODY_LENGTH = 5000;
+const MAX_AUTHOR_LENGTH = 60;
+
+const ReviewSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: Number,
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+      validate: {
+        validator: Number.isInteger,
+        message: 'rating must be a whole number of stars',
+      },
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: MAX_REVIEW_TITLE_LENGTH,
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: MAX_REVIEW_BODY_LENGTH,
+      default: '',
+    },
+    // Display name chosen by the reviewer
+    author: {
+      type: String,
+      trim: true,
+      maxlength: MAX_AUTHOR_LENGTH,
+      default: 'Anonymous',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      transform: function (doc, ret) {
+        ret.id = ret._id.toString();
+        delete ret._id;
+        return ret;
+      },
+    },
+  }
+);
+
+ReviewSchema.index({ itemId: 1, createdAt: -1 });
+ReviewSchema.index({ itemId: 1, rating: -1 });
+
+module.exports = mongoose.model('Review', ReviewSchema);
+module.exports.MAX_REVIEW_TITLE_LENGTH = MAX_REVIEW_TITLE_LENGTH;
+module.exports.MAX_REVIEW_BODY_LENGTH = MAX_REVIEW_BODY_LENGTH;
+module.exports.MAX_AUTHOR_LENGTH = MAX_AUTHOR_LENGTH;
@@ -0,0 +1,106 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { AUDIT_ACTIONS } = require('../models/AuditLog');
+const {
+  toValueList,
+  parseDateParam,
+  parsePageParams,
+} = require('../utils/itemQuery');
+const router = express.Router();
+
+const MAX_AUDIT_LIMIT = 100;
+
+// Helper function to build the audit query from ?action=&from=&to=&itemId=&actor=
+function buildAuditFilter({ action, from, to, itemId, actor }) {
+  const filter = {};
+
+  if (action !== undefined) {
+    const actions = toValueList(action, 'action');
+    const unknown = actions.filter((a) => !AUDIT_ACTIONS.includes(a));
+    if (unknown.length > 0) {
+      const err = new Error(
+        `Invalid action "${unknown[0]}". Allowed: ${AUDIT_ACTIONS.join(', ')}`
+      );
+      err.status = 400;
+      throw err;
+    }
+    filter.action = { $in: actions };
+  }
+
+  // Date range is inclusive on both ends
+  if (from !== undefined || to !== undefined) {
+    const fromDate = from !== undefined ? parseDateParam(from, 'from') : null;
+    const toDate = to !== undefined ? parseDateParam(to, 'to') : null;
+    if (fromDate && toDate && fromDate > toDate) {
+      const err = new Error('from must not be after to');
+      err.status = 400;
+      throw err;
+    }
+    filter.timestamp = {};
+    if (fromDate) filter.timestamp.$gte = fromDate;
+    if (toDate) filter.timestamp.$lte = toDate;
+  }
+
+  if (itemId !== undefined) {
+    const id = Number(itemId);
+    if (!Number.isInteger(id) || id < 1) {
+      const err = new Error('itemId must be a positive integer');
+      err.status = 400;
+      throw err;
+    }
+    filter.itemId = id;
+  }
+
+  if (actor !== undefined) {
+    if (typeof actor !== 'string' || !actor.trim()) {
+      const err = new Error('actor must be a non-empty string');
+      err.status = 400;
+      throw err;
+    }
+    filter.actor = actor.trim();
+  }
+
+  return filter;
+}
+
+//  AUDIT LOG - Who changed which item, and when
+//
+// GET /api/audit?action=update,delete&from=2024-01-01&to=2024-01-31&page=1&limit=50
+// - action: repeatable or comma-separated (create, update, delete, restore, purge)
+// - from/to: ISO 8601 dates, inclusive
+// - itemId / actor: narrow to one item or one actor
+// Newest entries first; per-item history is also at /api/items/:id/history
+router.get('/', async (req, res, next) => {
+  try {
+    const { pageNum, limitNum } = parsePageParams(req.query, {
+      defaultLimit: 50,
+      maxLimit: MAX_AUDIT_LIMIT,
+    });
+    const filter = buildAuditFilter(req.query);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ timestamp: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+    res.json({
+      entries,
+      pagination: {
+        total,
+        totalPages,
+        currentPage: pageNum,
+        limit: limitNum,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
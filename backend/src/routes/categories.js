@@ -0,0 +1,307 @@
+const express = require('express');
+const Category = require('../models/Category');
+const { SLUG_PATTERN, slugify } = require('../models/Category');
+const Item = require('../models/Item');
+const AuditLog = require('../models/AuditLog');
+const { invalidateStatsOnWrite } = require('./stats');
+const router = express.Router();
+
+// 🔄 STATS CACHE INVALIDATION - renames change the category names that
+// /api/stats groups by, so successful writes clear its cache
+router.use(invalidateStatsOnWrite);
+
+//  CATEGORY TAXONOMY - Managed categories items are validated against
+//
+// Why These Rules:
+// - Slugs never change once created: they end up in links and saved filters
+// - Renaming a category renames it on every item (trash included) at once
+// - Moving a category rewrites the ancestors of its whole subtree, and a
+//   category can't be moved below itself
+// - Deleting is refused while subcategories or items still use it
+
+// Internal fields left out of lean() results
+const HIDDEN_FIELDS = { _id: 0, __v: 0 };
+
+// Helper function to load a category by slug, 404 if it doesn't exist
+async function findCategoryOr404(slug) {
+  const category = await Category.findOne({ slug });
+  if (!category) {
+    const err = new Error('Category not found');
+    err.status = 404;
+    throw err;
+  }
+  return category;
+}
+
+// Helper function to validate a display name
+function parseCategoryName(name) {
+  const maxlength = Category.schema.path('name').options.maxlength;
+  if (typeof name !== 'string' || !name.trim()) {
+    const err = new Error('name must be a non-empty string');
+    err.status = 400;
+    throw err;
+  }
+  if (name.trim().length > maxlength) {
+    const err = new Error(`name must be at most ${maxlength} characters`);
+    err.status = 400;
+    throw err;
+  }
+  return name.trim();
+}
+
+// Helper function to validate an explicit slug ("home-office")
+function parseSlug(slug) {
+  if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) {
+    const err = new Error(
+      'slug must be lowercase letters and digits separated by single hyphens'
+    );
+    err.status = 400;
+    throw err;
+  }
+  return slug;
+}
+
+// Helper function to resolve a parent slug (null = top level) into the
+// { parent, ancestors } of a category placed under it
+async function resolvePlacement(parent) {
+  if (parent === null) {
+    return { parent: null, ancestors: [] };
+  }
+  if (typeof parent !== 'string' || !parent.trim()) {
+    const err = new Error('parent must be a category slug or null');
+    err.status = 400;
+    throw err;
+  }
+  const parentCategory = await Category.findOne({ slug: parent.trim() });
+  if (!parentCategory) {
+    const err = new Error(`Parent category "${parent}" does not exist`);
+    err.status = 400;
+    throw err;
+  }
+  return {
+    parent: parentCategory.slug,
+    ancestors: [...parentCategory.ancestors, parentCategory.slug],
+  };
+}
+
+// Helper function to turn duplicate slug/name errors into 409s
+function toClientError(err) {
+  if (err.code === 11000) {
+    const conflict = new Error(
+      'A category with this slug or name already exists'
+    );
+    conflict.status = 409;
+    return conflict;
+  }
+  if (err.name === 'ValidationError') {
+    err.status = 400;
+  }
+  return err;
+}
+
+// Helper function to nest a flat category list under its parents
+function buildTree(categories) {
+  const nodes = new Map(
+    categories.map((category) => [category.slug, { ...category, children: [] }])
+  );
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent);
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+}
+
+// GET /api/categories - every category sorted by name
+// ?tree=true nests them: [{ ...category, children: [...] }]
+router.get('/', async (req, res, next) => {
+  try {
+    const categories = await Category.find({}, HIDDEN_FIELDS)
+      .sort({ name: 1 })
+      .collation({ locale: 'en' })
+      .lean();
+
+    res.json(req.query.tree === 'true' ? buildTree(categories) : categories);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/categories/:slug - one category with its breadcrumbs (root first)
+// and direct children
+router.get('/:slug', async (req, res, next) => {
+  try {
+    const category = await findCategoryOr404(req.params.slug);
+    const [ancestors, children] = await Promise.all([
+      Category.find(
+        { slug: { $in: category.ancestors } },
+        HIDDEN_FIELDS
+      ).lean(),
+      Category.find({ parent: category.slug }, HIDDEN_FIELDS)
+        .sort({ name: 1 })
+        .collation({ locale: 'en' })
+        .lean(),
+    ]);
+    const bySlug = new Map(ancestors.map((a) => [a.slug, a]));
+
+    res.json({
+      ...category.toJSON(),
+      breadcrumbs: category.ancestors
+        .filter((slug) => bySlug.has(slug))
+        .map((slug) => ({ slug, name: bySlug.get(slug).name })),
+      children,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/categories - { name, slug?, parent? }
+// slug defaults to one derived from the name, parent to top level
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, slug, parent = null } = req.body || {};
+    const displayName = parseCategoryName(name);
+    const categorySlug =
+      slug === undefined ? slugify(displayName) : parseSlug(slug);
+    if (!categorySlug) {
+      const err = new Error(
+        'name has no letters or digits to build a slug from; pass a slug'
+      );
+      err.status = 400;
+      throw err;
+    }
+
+    const category = await Category.create({
+      slug: categorySlug,
+      name: displayName,
+      ...(await resolvePlacement(parent)),
+    });
+    res.status(201).json(category);
+  } catch (err) {
+    next(toClientError(err));
+  }
+});
+
+// PATCH /api/categories/:slug - { name?, parent? }
+router.patch('/:slug', async (req, res, next) => {
+  try {
+    const category = await findCategoryOr404(req.params.slug);
+    const { name, parent, slug } = req.body || {};
+
+    if (slug !== undefined && slug !== category.slug) {
+      const err = new Error('slug cannot be changed');
+      err.status = 400;
+      throw err;
+    }
+
+    const previousName = category.name;
+    const previousParent = category.parent;
+    if (name !== undefined) {
+      category.name = parseCategoryName(name);
+    }
+    if (parent !== undefined) {
+      const placement = await resolvePlacement(parent);
+      if (
+        placement.parent === category.slug ||
+        placement.ancestors.includes(category.slug)
+      ) {
+        const err = new Error(
+          'A category cannot be moved under itself or its subcategories'
+        );
+        err.status = 400;
+        throw err;
+      }
+      category.set(placement);
+    }
+    await category.save();
+
+    // 🌳 MOVE - every descendant keeps its path below this category
+    if (category.parent !== previousParent) {
+      const prefix = [...category.ancestors, category.slug];
+      const descendants = await Category.find(
+        { ancestors: category.slug },
+        { slug: 1, ancestors: 1 }
+      ).lean();
+      if (descendants.length > 0) {
+        await Category.bulkWrite(
+          descendants.map((descendant) => ({
+            updateOne: {
+              filter: { slug: descendant.slug },
+              update: {
+                $set: {
+                  ancestors: [
+                    ...prefix,
+                    ...descendant.ancestors.slice(
+                      descendant.ancestors.indexOf(category.slug) + 1
+                    ),
+                  ],
+                },
+              },
+            },
+          }))
+        );
+      }
+    }
+
+    // ✏️ RENAME - items store the display name, so carry it over to them
+    // (trashed ones too, so a restore comes back under the current name)
+    // Read first so each renamed item gets its own audit entry
+    if (category.name !== previousName) {
+      const renamedItems = await Item.find({ categorySlug: category.slug })
+        .setOptions({ withDeleted: true })
+        .lean();
+      await Item.updateMany(
+        { _id: { $in: renamedItems.map((item) => item._id) } },
+        { $set: { category: category.name }, $inc: { __v: 1 } }
+      ).setOptions({ withDeleted: true });
+      await AuditLog.record(
+        renamedItems.map((item) => ({
+          action: 'update',
+          before: item,
+          after: { ...item, category: category.name },
+        })),
+        { actor: req.actor, requestId: req.id }
+      );
+    }
+
+    res.json(category);
+  } catch (err) {
+    next(toClientError(err));
+  }
+});
+
+// DELETE /api/categories/:slug - only categories nothing refers to any more
+router.delete('/:slug', async (req, res, next) => {
+  try {
+    const category = await findCategoryOr404(req.params.slug);
+    const [childCount, itemCount] = await Promise.all([
+      Category.countDocuments({ parent: category.slug }),
+      Item.countDocuments({ categorySlug: category.slug }).setOptions({
+        withDeleted: true,
+      }),
+    ]);
+
+    if (childCount > 0) {
+      const err = new Error(
+        `Category has ${childCount} subcategories; move or delete them first`
+      );
+      err.status = 409;
+      throw err;
+    }
+    if (itemCount > 0) {
+      const err = new Error(
+        `Category is used by ${itemCount} items (trash included); move them first`
+      );
+      err.status = 409;
+      throw err;
+    }
+
+    await category.deleteOne();
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
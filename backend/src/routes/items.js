@@ -1,12 +1,39 @@
 const express = require('express');
+const { randomBytes } = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const multer = require('multer');
 //  NON-BLOCKING I/O - Why MongoDB + Mongoose is Essential:
 // - fs.readFileSync blocks the entire Node.js event loop
 // - MongoDB operations are non-blocking by design
 // - Event loop remains free to handle other requests
 // - Critical for server scalability and performance
 const Item = require('../models/Item');
+const AuditLog = require('../models/AuditLog');
+const PriceChange = require('../models/PriceChange');
+const Category = require('../models/Category');
+const Review = require('../models/Review');
+const { invalidateStatsOnWrite } = require('./stats');
+const {
+  toValueList,
+  parsePriceBoundaries,
+  buildSearchKeyRegex,
+  parseSearchMode,
+  buildItemFilter,
+  parseDateParam,
+  parsePageParams,
+  AVAILABLE_STOCK,
+} = require('../utils/itemQuery');
+const { parseCsv, formatCsvRow, unguardCsvValue } = require('../utils/csv');
+const { processImage, THUMBNAIL_CONTENT_TYPE } = require('../utils/images');
+const { getStorage } = require('../storage');
 const router = express.Router();
 
+// 🔄 STATS CACHE INVALIDATION - every successful write through this router
+// (POST/PUT/PATCH/DELETE) clears /api/stats so new data shows up immediately
+router.use(invalidateStatsOnWrite);
+
 //  MONGODB WITH MONGOOSE - Modern Database Operations
 //
 // Why MongoDB + Mongoose is Superior to JSON Files:
@@ -35,43 +62,834 @@ const router = express.Router();
 // - Blocking: 1 request at a time, others wait
 // - Non-blocking: Handle 100s of concurrent requests
 
+// Helper function to parse the numeric :id route parameter
+function parseItemId(rawId) {
+  const itemId = parseInt(rawId, 10);
+
+  // Validate ID parameter
+  if (isNaN(itemId)) {
+    const err = new Error('Invalid item ID');
+    err.status = 400;
+    throw err;
+  }
+  return itemId;
+}
+
+//  OPTIMISTIC CONCURRENCY - ETag + If-Match on single items
+//
+// Why:
+// - Two people editing the same item would otherwise silently overwrite
+//   each other (last write wins)
+// - Every write bumps the document version (__v); the ETag is that version
+// - A write sent with If-Match only applies if the version is unchanged,
+//   checked inside the same atomic findOneAndUpdate - otherwise 412
+// - Writes without If-Match stay unconditional for existing clients
+function getItemETag(item) {
+  return `"v${item.__v || 0}"`;
+}
+
+// Helper function to read If-Match into the versions a write may apply to
+// - undefined: no header, unconditional write
+// - null: "*", any existing item matches
+// - [versions]: strong ETags only; weak (W/) or foreign tags never match
+function parseIfMatch(req) {
+  const header = req.get('If-Match');
+  if (header === undefined) return undefined;
+  if (header.trim() === '*') return null;
+  return header
+    .split(',')
+    .map((tag) => /^"v(\d+)"$/.exec(tag.trim()))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+}
+
+// Helper function to add the If-Match condition to a write filter
+// Items stored before versioning have no __v, which counts as version 0
+function withVersionCondition(filter, versions) {
+  if (!versions) return filter;
+  return {
+    ...filter,
+    __v: { $in: versions.includes(0) ? [...versions, null] : versions },
+  };
+}
+
+function preconditionFailed() {
+  const err = new Error(
+    'Item was modified by someone else (If-Match does not match the current ETag)'
+  );
+  err.status = 412;
+  return err;
+}
+
+// Helper function to explain why a conditional write matched nothing
+async function throwWriteMiss(itemId, versions, session) {
+  if (versions && (await Item.exists({ id: itemId }).session(session))) {
+    throw preconditionFailed();
+  }
+  const err = new Error('Item not found');
+  err.status = 404;
+  throw err;
+}
+
+// Helper function to validate item write payloads (POST, PUT, PATCH)
+// Basic payload validation - production would use a proper validation library like Joi
+// With `partial: true` (PATCH) only the fields present in the body are checked
+function validateItemPayload(body, { partial = false } = {}) {
+  const { name, category, price, lowStockThreshold, tags, attributes } =
+    body || {};
+  const fields = {};
+
+  if (!partial && (!name || !category || typeof price !== 'number')) {
+    const err = new Error('Missing required fields: name, category, price');
+    err.status = 400;
+    throw err;
+  }
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      const err = new Error('Name must be a non-empty string');
+      err.status = 400;
+      throw err;
+    }
+    fields.name = name.trim();
+  }
+
+  if (category !== undefined) {
+    if (typeof category !== 'string' || !category.trim()) {
+      const err = new Error('Category must be a non-empty string');
+      err.status = 400;
+      throw err;
+    }
+    fields.category = category.trim();
+  }
+
+  if (price !== undefined) {
+    if (typeof price !== 'number' || !Number.isFinite(price)) {
+      const err = new Error('Price must be a number');
+      err.status = 400;
+      throw err;
+    }
+    if (price < 0) {
+      const err = new Error('Price must be a positive number');
+      err.status = 400;
+      throw err;
+    }
+    fields.price = Number(price);
+  }
+
+  // Optional on every write; stock itself only changes via /:id/stock/*
+  if (lowStockThreshold !== undefined) {
+    if (!Number.isInteger(lowStockThreshold) || lowStockThreshold < 0) {
+      const err = new Error('lowStockThreshold must be a non-negative integer');
+      err.status = 400;
+      throw err;
+    }
+    fields.lowStockThreshold = lowStockThreshold;
+  }
+
+  // Tags: normalised to trimmed, lowercase, de-duplicated strings
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+      const err = new Error('tags must be an array of strings');
+      err.status = 400;
+      throw err;
+    }
+    const normalized = [
+      ...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)),
+    ];
+    if (normalized.length > Item.MAX_TAGS) {
+      const err = new Error(`An item can have at most ${Item.MAX_TAGS} tags`);
+      err.status = 400;
+      throw err;
+    }
+    const tooLong = normalized.find((tag) => tag.length > Item.MAX_TAG_LENGTH);
+    if (tooLong) {
+      const err = new Error(
+        `Tag "${tooLong}" is longer than ${Item.MAX_TAG_LENGTH} characters`
+      );
+      err.status = 400;
+      throw err;
+    }
+    fields.tags = normalized;
+  }
+
+  // Attributes: the whole map is replaced on update (send {} to clear it)
+  if (attributes !== undefined) {
+    if (
+      attributes === null ||
+      typeof attributes !== 'object' ||
+      Array.isArray(attributes)
+    ) {
+      const err = new Error('attributes must be an object of key/value pairs');
+      err.status = 400;
+      throw err;
+    }
+    const entries = Object.entries(attributes);
+    if (entries.length > Item.MAX_ATTRIBUTES) {
+      const err = new Error(
+        `An item can have at most ${Item.MAX_ATTRIBUTES} attributes`
+      );
+      err.status = 400;
+      throw err;
+    }
+    for (const [key, value] of entries) {
+      if (!Item.ATTRIBUTE_KEY_PATTERN.test(key)) {
+        const err = new Error(
+          `Invalid attribute name "${key}": use letters, digits, _ or -, starting with a letter`
+        );
+        err.status = 400;
+        throw err;
+      }
+      if (!Item.isAttributeValue(value)) {
+        const err = new Error(
+          `Attribute "${key}" must be a string, number or boolean`
+        );
+        err.status = 400;
+        throw err;
+      }
+    }
+    fields.attributes = attributes;
+  }
+
+  if (partial && Object.keys(fields).length === 0) {
+    const err = new Error(
+      'No updatable fields provided: name, category, price, lowStockThreshold, tags, attributes'
+    );
+    err.status = 400;
+    throw err;
+  }
+
+  return fields;
+}
+
+// Helper function to surface Mongoose schema violations (maxlength, min)
+// as 400s instead of letting them fall through as 500s
+function toClientError(err) {
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    err.status = 400;
+  }
+  return err;
+}
+
+// 🗂️ CATEGORY RESOLUTION - item categories must exist in the taxonomy
+//
+// Payloads may name a category by display name (any casing) or slug; the
+// item stores the canonical name plus the slug the filters use.
+// Helper function to look up every category named in a batch with one query
+// Returns a lookup function (undefined for values not in the taxonomy)
+async function loadCategories(values) {
+  const requested = [
+    ...new Set(
+      values
+        .filter((value) => typeof value === 'string' && value.trim())
+        .map((value) => value.trim())
+    ),
+  ];
+  const categories = requested.length
+    ? await Category.findByNameOrSlug(requested).lean()
+    : [];
+  const byName = new Map(categories.map((c) => [c.name.toLowerCase(), c]));
+  const bySlug = new Map(categories.map((c) => [c.slug, c]));
+  return (value) =>
+    byName.get(value.toLowerCase()) || bySlug.get(Category.slugify(value));
+}
+
+// Helper function to swap a payload's category for its canonical name + slug
+function applyCategory(fields, findCategory) {
+  if (fields.category === undefined) return fields;
+  const category = findCategory(fields.category);
+  if (!category) {
+    const err = new Error(
+      `Unknown category "${fields.category}" - create it with POST /api/categories first`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return { ...fields, category: category.name, categorySlug: category.slug };
+}
+
+// Helper function to resolve the category of a single-item payload
+async function resolveCategory(fields) {
+  return applyCategory(fields, await loadCategories([fields.category]));
+}
+
+// Helper function to build the audit log context for a request
+// (request id and actor are set by the requestContext middleware)
+function getAuditContext(req) {
+  return { actor: req.actor, requestId: req.id };
+}
+
+// Helper function to record item writes in the audit log and price history
+// entries: [{ action, before, after }] - see AuditLog.record
+async function recordItemChanges(entries, audit, session = null) {
+  await AuditLog.record(entries, audit, { session });
+  await PriceChange.record(entries, { session });
+}
+
+// Helper function to audit a write that already replaced some item fields
+// (variants, images); returns the item after it, for the response ETag
+async function recordItemUpdate(req, previousItem, changes) {
+  const before = previousItem.toObject();
+  const after = { ...before, ...changes, __v: (before.__v || 0) + 1 };
+  await recordItemChanges(
+    [{ action: 'update', before, after }],
+    getAuditContext(req)
+  );
+  return after;
+}
+
+// Helper function to build upload middleware for one in-memory file field
+// Multer errors are reported as 413 (too big) or 400 instead of 500
+function receiveUpload(field, maxBytes) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+  }).single(field);
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        err.status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      }
+      next(err);
+    });
+  };
+}
+
+// Helper functions for the item write paths
+// Shared by the single-item routes and POST /bulk so both behave identically.
+// Every write is recorded in the audit log with `audit` ({ actor, requestId });
+// `session` is passed through when the write runs inside a transaction and
+// `versions` (from If-Match) makes updates/deletes conditional.
+async function createItem(fields, audit, { session = null } = {}) {
+  // 🔢 ID GENERATION - Get next sequential ID for compatibility
+  // Uses custom static method to maintain sequential IDs like the original JSON approach
+  const nextId = await Item.getNextId({ session });
+
+  // 📝 DOCUMENT CREATION - MongoDB with Mongoose validation
+  // Mongoose automatically validates against schema before saving
+  const newItem = new Item({
+    id: nextId,
+    ...fields,
+  });
+
+  // 💾 ATOMIC SAVE OPERATION - MongoDB ensures data integrity
+  // Unlike file writes, MongoDB saves are atomic and handle concurrent access
+  const savedItem = await newItem.save({ session });
+  await recordItemChanges(
+    [{ action: 'create', after: savedItem }],
+    audit,
+    session
+  );
+  return savedItem;
+}
+
+async function updateItem(
+  itemId,
+  fields,
+  audit,
+  { session = null, versions } = {}
+) {
+  // 🔄 ATOMIC UPDATE - runValidators re-applies the schema limits
+  // (maxlength, min) that save() would enforce on create.
+  // new: false returns the previous state for the audit diff in the same
+  // round trip; the updated state is that document with the fields applied.
+  const previousItem = await Item.findOneAndUpdate(
+    withVersionCondition({ id: itemId }, versions),
+    { $set: fields, $inc: { __v: 1 } },
+    { new: false, runValidators: true, session }
+  );
+  if (!previousItem) {
+    await throwWriteMiss(itemId, versions, session);
+  }
+  const updatedItem = previousItem
+    .$clone()
+    .set({ ...fields, __v: (previousItem.__v || 0) + 1 });
+  await recordItemChanges(
+    [{ action: 'update', before: previousItem, after: updatedItem }],
+    audit,
+    session
+  );
+  return updatedItem;
+}
+
+// 🗑️ SOFT DELETE - the item moves to the trash and can be restored
+// Already-trashed items are hidden by the model middleware, so they 404 here
+async function deleteItem(itemId, audit, { session = null, versions } = {}) {
+  const deletedItem = await Item.findOneAndUpdate(
+    withVersionCondition({ id: itemId }, versions),
+    { $set: { deletedAt: new Date() }, $inc: { __v: 1 } },
+    { new: true, session }
+  );
+  if (!deletedItem) {
+    await throwWriteMiss(itemId, versions, session);
+  }
+  await recordItemChanges(
+    [
+      {
+        action: 'delete',
+        before: { ...deletedItem.toObject(), deletedAt: null },
+        after: deletedItem,
+      },
+    ],
+    audit,
+    session
+  );
+  return deletedItem;
+}
+
+// Most price changes returned by GET /:id/prices (narrow with ?from=&to=)
+const MAX_PRICE_CHANGES = 1000;
+
+// Upper bound for ?limit= on the typeahead endpoint
+const MAX_SUGGESTIONS = 20;
+
+// Relevance ordering for text searches without an explicit ?sort=
+const RELEVANCE_SORT = {
+  sort: { score: { $meta: 'textScore' }, id: 1 },
+  sortParam: 'relevance',
+};
+
+// Fields the list route may be sorted by - anything else is rejected with a 400
+const SORTABLE_FIELDS = [
+  'id',
+  'name',
+  'category',
+  'price',
+  'rating',
+  'reviewCount',
+  'createdAt',
+  'updatedAt',
+];
+
+// Helper function to parse ?sort=category,-price into a MongoDB sort spec
+// A leading "-" means descending. `id` is always appended as a tiebreaker so
+// items with equal sort keys keep a stable order across pages.
+function parseSortParam(sortParam = 'id') {
+  const keys = toValueList(sortParam, 'sort');
+  if (keys.length === 0) {
+    const err = new Error('sort must not be empty');
+    err.status = 400;
+    throw err;
+  }
+
+  const sort = {};
+  for (const key of keys) {
+    const direction = key.startsWith('-') ? -1 : 1;
+    const field = key.replace(/^[-+]/, '');
+    if (!SORTABLE_FIELDS.includes(field)) {
+      const err = new Error(
+        `Invalid sort field "${field}". Allowed: ${SORTABLE_FIELDS.join(', ')}`
+      );
+      err.status = 400;
+      throw err;
+    }
+    if (field in sort) {
+      const err = new Error(`Duplicate sort field "${field}"`);
+      err.status = 400;
+      throw err;
+    }
+    sort[field] = direction;
+  }
+  if (!('id' in sort)) {
+    sort.id = 1;
+  }
+
+  return {
+    sort,
+    // Canonical form echoed back to the client, e.g. "category,-price"
+    sortParam: keys.map((key) => key.replace(/^\+/, '')).join(','),
+  };
+}
+
+// Helper function to build the search filter, sort and projection for a query
+// Shared by the list and export routes so both return the same items
+async function resolveItemSearch(query) {
+  // Build search query - free-text search ANDed with structured filters
+  let searchMode = parseSearchMode(query.searchMode);
+  let filter = await buildItemFilter(query, searchMode);
+
+  // 🔁 PARTIAL WORD FALLBACK - $text only matches whole (stemmed) words, so
+  // "lap" finds nothing; retry those searches as an escaped prefix match
+  if (filter.$text && !(await Item.exists(filter))) {
+    searchMode = 'prefix';
+    filter = await buildItemFilter(query, searchMode);
+  }
+
+  // Text searches rank by relevance unless the client asked for a sort
+  const isTextSearch = Boolean(filter.$text);
+  const { sort, sortParam } =
+    isTextSearch && query.sort === undefined
+      ? RELEVANCE_SORT
+      : parseSortParam(query.sort);
+  // Expose the relevance score on each hit
+  const projection = isTextSearch ? { score: { $meta: 'textScore' } } : {};
+
+  return { filter, searchMode, sort, sortParam, projection };
+}
+
+//  KEYSET (CURSOR) PAGINATION - Opt-in alternative to skip/limit
+//
+// Why Keyset Pagination:
+// - skip(offset) still walks every skipped document, so deep pages get slower
+// - Inserts/deletes between requests shift offsets, duplicating or dropping rows
+// - Seeking past the last seen (sort key, id) uses the index and is stable
+//
+// The cursor is opaque to clients: base64url JSON holding the sort it was
+// issued for, the boundary item's sort values and the paging direction.
+const MAX_CURSOR_LIMIT = 100;
+const DATE_SORT_FIELDS = ['createdAt', 'updatedAt'];
+
+function encodeCursor(item, sort, sortParam, direction) {
+  // Missing fields are stored as null, which is how MongoDB sorts them
+  const values = Object.keys(sort).map((field) => item[field] ?? null);
+  return Buffer.from(
+    JSON.stringify({ s: sortParam, v: values, d: direction })
+  ).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, sortParam) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (e) {
+    decoded = null;
+  }
+
+  const fields = Object.keys(sort);
+  if (
+    !decoded ||
+    !Array.isArray(decoded.v) ||
+    decoded.v.length !== fields.length ||
+    !['next', 'prev'].includes(decoded.d)
+  ) {
+    const err = new Error('Invalid cursor');
+    err.status = 400;
+    throw err;
+  }
+  if (decoded.s !== sortParam) {
+    const err = new Error('Cursor was issued for a different sort order');
+    err.status = 400;
+    throw err;
+  }
+
+  // JSON turns dates into strings - restore them so comparisons match BSON dates
+  const values = decoded.v.map((value, i) =>
+    DATE_SORT_FIELDS.includes(fields[i]) && value !== null
+      ? new Date(value)
+      : value
+  );
+  return { values, direction: decoded.d };
+}
+
+// Helper function to build the "strictly after this row" condition
+// For sort (a, b, id) that is: a > A OR (a = A AND b > B) OR (a = A AND b = B AND id > ID)
+// with > flipped to < for descending keys, and everything flipped again when paging backwards
+//
+// Nullable keys (rating is null until an item's first review): MongoDB sorts
+// null before every value, but $gt/$lt never match null, so:
+// - going up from null means any non-null value
+// - going down from a value also takes the nulls below it
+function buildKeysetCondition(sort, values, direction) {
+  const fields = Object.keys(sort);
+  const branches = fields.map((field, i) => {
+    const branch = {};
+    for (let j = 0; j < i; j++) {
+      branch[fields[j]] = values[j];
+    }
+    const ascending = (sort[field] === 1) === (direction === 'next');
+    if (values[i] === null) {
+      // Nothing sorts below null, so going down from it matches nothing
+      branch[field] = ascending ? { $ne: null } : { $in: [] };
+    } else if (ascending) {
+      branch[field] = { $gt: values[i] };
+    } else {
+      branch.$or = [{ [field]: { $lt: values[i] } }, { [field]: null }];
+    }
+    return branch;
+  });
+  return { $or: branches };
+}
+
+// Helper function to serve one page in cursor mode
+// An empty ?cursor= starts from the beginning of the result set
+async function findItemsPageByCursor(
+  filter,
+  sort,
+  sortParam,
+  query,
+  projection = {}
+) {
+  const limitNum = query.limit === undefined ? 10 : Number(query.limit);
+  if (
+    !Number.isInteger(limitNum) ||
+    limitNum < 1 ||
+    limitNum > MAX_CURSOR_LIMIT
+  ) {
+    const err = new Error(
+      `limit must be an integer between 1 and ${MAX_CURSOR_LIMIT}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  if (typeof query.cursor !== 'string') {
+    const err = new Error('Invalid cursor');
+    err.status = 400;
+    throw err;
+  }
+
+  let direction = 'next';
+  let pageFilter = filter;
+  if (query.cursor) {
+    const decoded = decodeCursor(query.cursor, sort, sortParam);
+    direction = decoded.direction;
+    // Merged at the top level so a $text clause in the filter stays top-level
+    pageFilter = {
+      ...filter,
+      $and: [
+        ...(filter.$and || []),
+        buildKeysetCondition(sort, decoded.values, direction),
+      ],
+    };
+  }
+
+  // Paging backwards walks the index in reverse, then restores display order
+  const querySort =
+    direction === 'next'
+      ? sort
+      : Object.fromEntries(
+          Object.entries(sort).map(([field, dir]) => [field, -dir])
+        );
+
+  // Fetch one extra row to learn whether another page exists
+  const rows = await Item.find(pageFilter, projection)
+    .sort(querySort)
+    .limit(limitNum + 1)
+    .lean();
+  const hasMore = rows.length > limitNum;
+  const items = rows.slice(0, limitNum);
+  if (direction === 'prev') {
+    items.reverse();
+  }
+
+  const hasNext = direction === 'next' ? hasMore : true;
+  const hasPrev = direction === 'prev' ? hasMore : Boolean(query.cursor);
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    sort: sortParam,
+    searchMode: filter.$text ? 'text' : 'prefix',
+    pagination: {
+      limit: limitNum,
+      nextCursor:
+        hasNext && last ? encodeCursor(last, sort, sortParam, 'next') : null,
+      prevCursor:
+        hasPrev && first ? encodeCursor(first, sort, sortParam, 'prev') : null,
+      hasNext: hasNext && Boolean(last),
+      hasPrev: hasPrev && Boolean(first),
+    },
+  };
+}
+
+//  FACETED SEARCH - Category and price-bucket counts for the current query
+//
+// Why Facets Ignore Their Own Filter:
+// - With ?category=Books the category facet still lists the other categories
+//   (counted under the remaining filters), so users can switch or add one
+// - The price facet likewise ignores the price range but honours category
+// - Both are computed in a single $facet aggregation over the shared $match
+const FACET_NAMES = ['category', 'price'];
+const DEFAULT_PRICE_BUCKETS = [0, 50, 100, 250, 500, 1000, 2500];
+
+function parseFacetsParam(value) {
+  if (value === undefined) return [];
+  const facets = toValueList(value, 'facets');
+  const invalid = facets.find((facet) => !FACET_NAMES.includes(facet));
+  if (invalid) {
+    const err = new Error(
+      `Invalid facet "${invalid}". Allowed: ${FACET_NAMES.join(', ')}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return [...new Set(facets)];
+}
+
+// Helper function to parse ?priceBuckets=0,100,500 into bucket boundaries
+// Each bucket covers [boundary, nextBoundary); prices past the last boundary
+// are collected in an open-ended bucket
+function parsePriceBuckets(value) {
+  if (value === undefined) return DEFAULT_PRICE_BUCKETS;
+  return parsePriceBoundaries(value, 'priceBuckets');
+}
+
+// Helper function to build the expression that names the bucket of `price`:
+// its lower boundary, 'above' past the last boundary, null below the first
+function buildPriceBucketExpr(price, boundaries) {
+  const last = boundaries.length - 1;
+  return {
+    $switch: {
+      branches: boundaries.map((min, i) => ({
+        case:
+          i < last
+            ? {
+                $and: [
+                  { $gte: [price, min] },
+                  { $lt: [price, boundaries[i + 1]] },
+                ],
+              }
+            : { $gte: [price, min] },
+        then: i < last ? min : 'above',
+      })),
+      default: null,
+    },
+  };
+}
+
+async function computeFacets(filter, facetNames, priceBoundaries) {
+  // buildItemFilter only uses $and for the price range
+  const { categorySlug, $and: priceConditions, ...baseFilter } = filter;
+  const facetPipelines = {};
+
+  if (facetNames.includes('category')) {
+    facetPipelines.category = [
+      ...(priceConditions ? [{ $match: { $and: priceConditions } }] : []),
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, value: '$_id', count: 1 } },
+    ];
+  }
+
+  if (facetNames.includes('price')) {
+    // Counted the way the price filter matches: an item belongs to every
+    // bucket its own price or any variant's price falls in (once per bucket),
+    // so clicking a bucket (minPrice + priceBelow) lists exactly `count` items
+    facetPipelines.price = [
+      ...(categorySlug ? [{ $match: { categorySlug } }] : []),
+      {
+        $project: {
+          buckets: {
+            $setUnion: [
+              {
+                $map: {
+                  input: {
+                    $concatArrays: [
+                      ['$price'],
+                      { $ifNull: ['$variants.price', []] },
+                    ],
+                  },
+                  as: 'price',
+                  in: buildPriceBucketExpr('$$price', priceBoundaries),
+                },
+              },
+            ],
+          },
+        },
+      },
+      { $unwind: '$buckets' },
+      { $match: { buckets: { $ne: null } } },
+      { $group: { _id: '$buckets', count: { $sum: 1 } } },
+    ];
+  }
+
+  // $match stays the first stage so a $text search can still use its index
+  const [result] = await Item.aggregate([
+    { $match: baseFilter },
+    { $facet: facetPipelines },
+  ]);
+
+  const facets = {};
+  if (result.category) {
+    facets.category = result.category;
+  }
+  if (result.price) {
+    // Report every configured bucket (zero counts included) so charts and
+    // filter lists keep a stable shape; max is exclusive, null = open-ended
+    const counts = new Map(result.price.map((b) => [b._id, b.count]));
+    facets.price = priceBoundaries.map((min, i) => ({
+      min,
+      max: i < priceBoundaries.length - 1 ? priceBoundaries[i + 1] : null,
+      count:
+        (i < priceBoundaries.length - 1
+          ? counts.get(min)
+          : counts.get('above')) || 0,
+    }));
+  }
+  return facets;
+}
+
 // GET /api/items - Enhanced with proper pagination and search
 router.get('/', async (req, res, next) => {
   try {
     // 🚀 MONGODB OPTIMIZATION - Parallel Query Execution
     // Instead of sequential operations, we run count and find in parallel
     // This reduces total query time by ~50% for large datasets
-    const { limit = 10, offset = 0, q, page = 1 } = req.query;
+    const { limit = 10, offset = 0, page = 1 } = req.query;
 
     // Calculate pagination
     const pageNum = parseInt(page, 10);
     const limitNum = parseInt(limit, 10);
     const offsetNum = parseInt(offset, 10) || (pageNum - 1) * limitNum;
 
-    // Build search query - MongoDB regex for case-insensitive search
-    let searchQuery = {};
-    if (q) {
-      const searchTerm = q.trim();
-      // 🔍 SEARCH OPTIMIZATION - MongoDB regex with indexing
-      // $or with regex is optimized when fields have indexes
-      searchQuery = {
-        $or: [
-          { name: { $regex: searchTerm, $options: 'i' } },
-          { category: { $regex: searchTerm, $options: 'i' } },
-        ],
-      };
+    // Search filter, sort and projection (with the partial word fallback)
+    const {
+      filter: searchQuery,
+      searchMode,
+      sort,
+      sortParam,
+      projection,
+    } = await resolveItemSearch(req.query);
+
+    // 🔁 CONDITIONAL GET - res.json adds an ETag hashed from the body and
+    // answers a matching If-None-Match with an empty 304. no-cache makes the
+    // browser revalidate every time instead of guessing a freshness lifetime,
+    // so repeat fetches of an unchanged page cost headers only.
+    res.set('Cache-Control', 'no-cache');
+
+    // 📊 FACETS - opt-in via ?facets=category,price, run alongside the page query
+    // Params are validated up front; the aggregation only starts in Promise.all
+    const facetNames = parseFacetsParam(req.query.facets);
+    const priceBoundaries = parsePriceBuckets(req.query.priceBuckets);
+    const loadFacets = () =>
+      facetNames.length
+        ? computeFacets(searchQuery, facetNames, priceBoundaries)
+        : undefined;
+
+    // 🔖 CURSOR MODE - opt-in via ?cursor= (empty for the first page)
+    // The page/offset response below stays the default for the current frontend
+    if (req.query.cursor !== undefined) {
+      if (sortParam === 'relevance') {
+        const err = new Error(
+          'Cursor pagination needs an explicit sort when searchMode=text'
+        );
+        err.status = 400;
+        throw err;
+      }
+      const [page, facets] = await Promise.all([
+        findItemsPageByCursor(
+          searchQuery,
+          sort,
+          sortParam,
+          req.query,
+          projection
+        ),
+        loadFacets(),
+      ]);
+      return res.json({ ...page, facets });
     }
 
     // 🚀 PARALLEL EXECUTION - Run count and find simultaneously
     // Promise.all executes both queries concurrently, not sequentially
     // Critical for performance with large datasets
-    const [items, total] = await Promise.all([
-      Item.find(searchQuery)
-        .sort({ id: 1 }) // Sort by original ID for consistency
+    const [items, total, facets] = await Promise.all([
+      Item.find(searchQuery, projection)
+        .sort(sort) // Allow-listed sort keys (or relevance), tie-broken by id
         .skip(offsetNum)
         .limit(limitNum)
         .lean(), // 🏃‍♂️ PERFORMANCE: lean() returns plain JS objects, not Mongoose documents
       Item.countDocuments(searchQuery), // Count matching documents for pagination
+      loadFacets(), // Only resolves to a value when ?facets= was requested
     ]);
 
     const totalPages = Math.ceil(total / limitNum);
@@ -79,6 +897,8 @@ router.get('/', async (req, res, next) => {
     // Return data with pagination metadata
     res.json({
       items,
+      sort: sortParam, // Sort actually applied, e.g. "category,-price"
+      searchMode, // "text" or "prefix" (after any partial word fallback)
       pagination: {
         total, // Total items matching search
         totalPages, // Total pages available
@@ -88,74 +908,2037 @@ router.get('/', async (req, res, next) => {
         hasNext: pageNum < totalPages, // Can go to next page
         hasPrev: pageNum > 1, // Can go to previous page
       },
+      facets, // Omitted from the JSON unless ?facets= was requested
     });
   } catch (err) {
     next(err);
   }
 });
 
-// GET /api/items/:id
-router.get('/:id', async (req, res, next) => {
+// GET /api/items/suggest?q=lap - Typeahead for the search box
+//
+// Why a Dedicated Endpoint:
+// - Called as the user types, so it returns only names/categories + counts
+// - An anchored prefix on the indexed search keys - no collection scan
+// - One aggregation with $facet instead of a full paginated item query
+// - No count of the whole result set, no item documents over the wire
+router.get('/suggest', async (req, res, next) => {
   try {
-    const itemId = parseInt(req.params.id, 10);
-
-    // Validate ID parameter
-    if (isNaN(itemId)) {
-      const err = new Error('Invalid item ID');
+    const { q, limit = '5' } = req.query;
+    if (typeof q !== 'string' || !q.trim()) {
+      const err = new Error('q is required');
       err.status = 400;
       throw err;
     }
-
-    // Find item by custom id field (not MongoDB _id)
-    const item = await Item.findOne({ id: itemId }).lean();
-    if (!item) {
-      const err = new Error('Item not found');
-      err.status = 404;
+    const limitNum = Number(limit);
+    if (
+      !Number.isInteger(limitNum) ||
+      limitNum < 1 ||
+      limitNum > MAX_SUGGESTIONS
+    ) {
+      const err = new Error(
+        `limit must be an integer between 1 and ${MAX_SUGGESTIONS}`
+      );
+      err.status = 400;
       throw err;
     }
-    res.json(item);
+
+    // Same word-prefix semantics as the list route's default search
+    const prefix = buildSearchKeyRegex(q);
+    const topValues = (field) => [
+      { $match: { [`${field}SearchKeys`]: prefix } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limitNum },
+      { $project: { _id: 0, value: '$_id', count: 1 } },
+    ];
+
+    const [result] = await Item.aggregate([
+      {
+        $match: {
+          $or: [{ nameSearchKeys: prefix }, { categorySearchKeys: prefix }],
+        },
+      },
+      {
+        $facet: { names: topValues('name'), categories: topValues('category') },
+      },
+    ]);
+
+    // Short browser cache - backspacing over a prefix reuses earlier answers
+    res.set('Cache-Control', 'private, max-age=30');
+    res.json({
+      query: q.trim(),
+      names: result.names,
+      categories: result.categories,
+    });
   } catch (err) {
     next(err);
   }
 });
 
-// POST /api/items
-router.post('/', async (req, res, next) => {
+//  EXPORT - Stream the filtered catalog as CSV, NDJSON or JSON
+//
+// Why Stream From a Cursor:
+// - The whole catalog may not fit in memory; documents are written one by one
+// - pipeline() applies backpressure, so a slow client doesn't make us buffer
+// - A client that disconnects closes the cursor instead of reading to the end
+const EXPORT_FIELDS = [
+  'id',
+  'name',
+  'category',
+  'price',
+  'createdAt',
+  'updatedAt',
+];
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: () => formatCsvRow(EXPORT_FIELDS),
+    row: (item) =>
+      formatCsvRow(
+        EXPORT_FIELDS.map((field) =>
+          item[field] instanceof Date ? item[field].toISOString() : item[field]
+        )
+      ),
+    footer: () => '',
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    header: () => '',
+    row: (item) => `${JSON.stringify(item)}\n`,
+    footer: () => '',
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    header: () => '[',
+    row: (item, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(item)}`,
+    footer: (count) => (count > 0 ? '\n]\n' : ']\n'),
+  },
+};
+
+// GET /api/items/export?format=csv|ndjson|json - Same filters, q and sort as GET /
+router.get('/export', async (req, res, next) => {
   try {
-    // 🛡️ COMPREHENSIVE VALIDATION - Production-ready input validation
-    // Basic payload validation - production would use a proper validation library like Joi
-    const { name, category, price } = req.body;
+    const { format = 'csv' } = req.query;
+    // Own keys only - "constructor" or "toString" are not formats
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      const err = new Error(
+        `Invalid format. Allowed: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      );
+      err.status = 400;
+      throw err;
+    }
+    const formatter = EXPORT_FORMATS[format];
+
+    // Everything that can fail with a 400 happens before the first byte is sent
+    const { filter, sort } = await resolveItemSearch(req.query);
+    const projection = Object.fromEntries(
+      EXPORT_FIELDS.map((field) => [field, 1])
+    );
+    const cursor = Item.find(filter, { ...projection, _id: 0 })
+      .sort(sort)
+      .lean()
+      .cursor();
+    res.on('close', () => cursor.close().catch(() => {}));
+
+    async function* generateExport() {
+      let count = 0;
+      yield formatter.header();
+      for await (const item of cursor) {
+        yield formatter.row(item, count);
+        count++;
+      }
+      yield formatter.footer(count);
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': formatter.contentType,
+      'Content-Disposition': `attachment; filename="items-${date}.${format}"`,
+      'Cache-Control': 'no-store',
+    });
+    await pipeline(Readable.from(generateExport()), res);
+  } catch (err) {
+    // Once streaming has started the status is sent - just cut the response
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    next(err);
+  }
+});
+
+//  BULK WRITES - Many creates/updates/deletes in one request
+//
+// Request body:
+//   {
+//     "mode": "bestEffort" | "atomic",   // default "bestEffort"
+//     "operations": [
+//       { "op": "create", "data": { "name": "...", "category": "...", "price": 1 } },
+//       { "op": "update", "id": 7, "data": { "price": 99 } },   // PATCH semantics
+//       { "op": "delete", "id": 12 }
+//     ]
+//   }
+//
+// Why Validate Everything First:
+// - Payload errors are reported for every operation at once, by index
+// - Nothing is written while any operation is malformed, in either mode
+//
+// Modes:
+// - bestEffort (default): operations run in order, failures don't stop later ones
+// - atomic: one MongoDB transaction - all operations apply or none do
+//   (transactions need a replica set; the standalone server in the compose
+//   files rejects them, which is why atomic has to be asked for)
+const BULK_MODES = ['bestEffort', 'atomic'];
+const BULK_OPERATIONS = ['create', 'update', 'delete'];
+const MAX_BULK_OPERATIONS = 1000;
+// 1000 operations run past the app-wide 100KB JSON limit
+const MAX_BULK_BYTES = 2 * 1024 * 1024; // 2MB
+
+// Helper function to validate one bulk operation into { op, itemId, fields }
+// findCategory comes from loadCategories, run once for the whole batch
+function parseBulkOperation(operation, findCategory) {
+  if (!operation || !BULK_OPERATIONS.includes(operation.op)) {
+    const err = new Error(`op must be one of: ${BULK_OPERATIONS.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  const { op } = operation;
+  return {
+    op,
+    itemId:
+      op === 'create' ? undefined : parseItemId(String(operation.id ?? '')),
+    fields:
+      op === 'delete'
+        ? undefined
+        : applyCategory(
+            validateItemPayload(operation.data, { partial: op === 'update' }),
+            findCategory
+          ),
+  };
+}
+
+async function runBulkOperation({ op, itemId, fields }, audit, session) {
+  if (op === 'create') return createItem(fields, audit, { session });
+  if (op === 'update') return updateItem(itemId, fields, audit, { session });
+  return deleteItem(itemId, audit, { session });
+}
+
+function toBulkResult(index, { op, itemId }, item) {
+  return {
+    index,
+    op,
+    status: 'ok',
+    id: item ? item.id : itemId,
+    ...(op !== 'delete' && { item }),
+  };
+}
+
+function toBulkError(index, op, err) {
+  const clientErr = toClientError(err);
+  return {
+    index,
+    op,
+    status: 'error',
+    statusCode: clientErr.status || 500,
+    error: clientErr.message,
+  };
+}
+
+// POST /api/items/bulk
+// The app-wide JSON parser skips this route (see app.js)
+router.post(
+  '/bulk',
+  express.json({ limit: MAX_BULK_BYTES }),
+  async (req, res, next) => {
+    try {
+      const { mode = 'bestEffort', operations } = req.body || {};
+      if (!BULK_MODES.includes(mode)) {
+        const err = new Error(`mode must be one of: ${BULK_MODES.join(', ')}`);
+        err.status = 400;
+        throw err;
+      }
+      if (
+        !Array.isArray(operations) ||
+        operations.length === 0 ||
+        operations.length > MAX_BULK_OPERATIONS
+      ) {
+        const err = new Error(
+          `operations must be an array of 1 to ${MAX_BULK_OPERATIONS} items`
+        );
+        err.status = 400;
+        throw err;
+      }
+
+      // 🛡️ VALIDATE EVERY OPERATION - collect all errors, indexed by position
+      const findCategory = await loadCategories(
+        operations.map(
+          (operation) => operation && operation.data && operation.data.category
+        )
+      );
+      const parsed = [];
+      const errors = [];
+      operations.forEach((operation, index) => {
+        try {
+          parsed.push(parseBulkOperation(operation, findCategory));
+        } catch (err) {
+          errors.push(toBulkError(index, operation && operation.op, err));
+        }
+      });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed; no operations were applied',
+          mode,
+          errors,
+        });
+      }
+
+      const audit = getAuditContext(req);
+      if (mode === 'bestEffort') {
+        const results = [];
+        for (const [index, operation] of parsed.entries()) {
+          try {
+            const item = await runBulkOperation(operation, audit, null);
+            results.push(toBulkResult(index, operation, item));
+          } catch (err) {
+            results.push(toBulkError(index, operation.op, err));
+          }
+        }
+        const failed = results.filter((r) => r.status === 'error').length;
+
+        // 207 Multi-Status when only some operations succeeded
+        return res.status(failed > 0 ? 207 : 200).json({
+          mode,
+          summary: {
+            total: results.length,
+            succeeded: results.length - failed,
+            failed,
+          },
+          results,
+        });
+      }
+
+      // 🔒 ATOMIC MODE - every operation shares one transaction
+      const session = await mongoose.startSession();
+      let results;
+      let failure = null;
+      try {
+        await session.withTransaction(async () => {
+          // withTransaction may retry the callback on transient errors -
+          // each attempt starts from scratch, without the last one's failure
+          results = [];
+          failure = null;
+          for (const [index, operation] of parsed.entries()) {
+            try {
+              const item = await runBulkOperation(operation, audit, session);
+              results.push(toBulkResult(index, operation, item));
+            } catch (err) {
+              failure = toBulkError(index, operation.op, err);
+              throw err;
+            }
+          }
+        });
+      } catch (err) {
+        if (!failure) {
+          // Not an operation failure - e.g. transactions unsupported on a standalone server
+          if (err.code === 20 || /replica set/i.test(err.message)) {
+            const txErr = new Error(
+              'Atomic bulk mode requires MongoDB transactions (a replica set); use mode "bestEffort"'
+            );
+            txErr.status = 400;
+            throw txErr;
+          }
+          throw err;
+        }
+        return res.status(failure.statusCode === 500 ? 500 : 400).json({
+          error: 'Bulk operation failed; the transaction was rolled back',
+          mode,
+          errors: [failure],
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      res.json({
+        mode,
+        summary: {
+          total: results.length,
+          succeeded: results.length,
+          failed: 0,
+        },
+        results,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+//  IMPORT - CSV or JSON uploads with a dry-run validation report
+//
+// Accepted payloads (format from ?format=, the file name or Content-Type):
+// - multipart/form-data with a "file" field (.csv or .json)
+// - a raw text/csv body
+// - a JSON body: an array of items or { "items": [...] }
+//
+// Modes:
+// - upsert (default): rows with an id update that item (restoring it from
+//   the trash) or create it with that id; rows without an id get a new one
+// - append: every row becomes a new item, any id column is ignored
+//
+// Why Validate Before Writing:
+// - ?dryRun=true returns the report without touching the database
+// - A real import with any invalid row is rejected as a whole (400 + report)
+const IMPORT_COLUMNS = ['id', 'name', 'category', 'price'];
+// Written by the export but set by the server - accepted and ignored, so an
+// exported file imports back as it is
+const IGNORED_IMPORT_COLUMNS = ['createdAt', 'updatedAt'];
+const IMPORT_MODES = ['upsert', 'append'];
+const IMPORT_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = 10000;
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024; // 5MB
 
-    if (!name || !category || typeof price !== 'number') {
-      const err = new Error('Missing required fields: name, category, price');
+// Uploads stay in memory - imports are bounded by MAX_IMPORT_BYTES
+const receiveImportUpload = receiveUpload('file', MAX_IMPORT_BYTES);
+
+// Helper function to pick the import format for the current request
+function detectImportFormat(req) {
+  const { format } = req.query;
+  if (format !== undefined) {
+    if (!IMPORT_FORMATS.includes(format)) {
+      const err = new Error(
+        `Invalid format. Allowed: ${IMPORT_FORMATS.join(', ')}`
+      );
       err.status = 400;
       throw err;
     }
+    return format;
+  }
+  if (req.file) {
+    if (/\.json$/i.test(req.file.originalname)) return 'json';
+    if (/\.csv$/i.test(req.file.originalname)) return 'csv';
+    if (/json/i.test(req.file.mimetype)) return 'json';
+    return 'csv';
+  }
+  return req.is('text/csv') ? 'csv' : 'json';
+}
 
-    if (price < 0) {
-      const err = new Error('Price must be a positive number');
+// Helper function to turn the upload into rows of { position, values, errors }
+// position is { line } for CSV (1-based, header is line 1) and { index } for JSON
+function readImportRows(req, format) {
+  if (format === 'csv') {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+      const err = new Error('CSV upload is empty');
       err.status = 400;
       throw err;
     }
+    const [header, ...records] = parseCsv(text);
+    const columns = header.fields.map((column) => column.trim().toLowerCase());
 
-    // 🔢 ID GENERATION - Get next sequential ID for compatibility
-    // Uses custom static method to maintain sequential IDs like the original JSON approach
-    const nextId = await Item.getNextId();
+    // Unknown or repeated columns make every row ambiguous - report on the header
+    const headerErrors = [
+      ...columns
+        .filter(
+          (column) =>
+            !IMPORT_COLUMNS.includes(column) &&
+            !IGNORED_IMPORT_COLUMNS.some(
+              (ignored) => ignored.toLowerCase() === column
+            )
+        )
+        .map((column) => `Unknown column "${column}"`),
+      ...columns
+        .filter((column, i) => columns.indexOf(column) !== i)
+        .map((column) => `Duplicate column "${column}"`),
+    ];
 
-    // 📝 DOCUMENT CREATION - MongoDB with Mongoose validation
-    // Mongoose automatically validates against schema before saving
-    const newItem = new Item({
-      id: nextId,
-      name: name.trim(),
-      category: category.trim(),
-      price: Number(price),
-    });
+    return {
+      headerErrors,
+      rows: records.map(({ line, fields }) => ({
+        position: { line },
+        // Text the export guarded against formulas ('=...) comes back as is
+        values: Object.fromEntries(
+          columns.map((column, i) => [column, unguardCsvValue(fields[i])])
+        ),
+        errors:
+          fields.length === columns.length
+            ? []
+            : [`Expected ${columns.length} columns, found ${fields.length}`],
+      })),
+    };
+  }
+
+  let data = req.body;
+  if (req.file) {
+    try {
+      data = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch (e) {
+      const err = new Error(`Invalid JSON upload: ${e.message}`);
+      err.status = 400;
+      throw err;
+    }
+  }
+  const items = Array.isArray(data) ? data : data && data.items;
+  if (!Array.isArray(items)) {
+    const err = new Error(
+      'JSON import must be an array of items or { "items": [...] }'
+    );
+    err.status = 400;
+    throw err;
+  }
+
+  return {
+    headerErrors: [],
+    rows: items.map((entry, index) => {
+      const isObject =
+        entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+      const values = isObject ? entry : {};
+      return {
+        position: { index },
+        values,
+        errors: isObject
+          ? Object.keys(values)
+              .filter(
+                (key) =>
+                  !IMPORT_COLUMNS.includes(key) &&
+                  !IGNORED_IMPORT_COLUMNS.includes(key)
+              )
+              .map((key) => `Unknown column "${key}"`)
+          : ['Row must be an object'],
+      };
+    }),
+  };
+}
 
-    // 💾 ATOMIC SAVE OPERATION - MongoDB ensures data integrity
-    // Unlike file writes, MongoDB saves are atomic and handle concurrent access
-    const savedItem = await newItem.save();
+// Helper function to validate one import row, collecting every problem
+// CSV values arrive as strings; JSON values must already have the right type
+// findCategory comes from loadCategories, run once for the whole file
+function validateImportRow(values, format, findCategory) {
+  const errors = [];
+  const isBlank = (value) =>
+    value === undefined || value === null || value === '';
+  const fields = {};
+  let id;
 
-    res.status(201).json(savedItem);
+  if (!isBlank(values.id)) {
+    id = format === 'csv' ? Number(values.id) : values.id;
+    if (!Number.isInteger(id) || id < 1) {
+      errors.push('id must be a positive integer');
+    }
+  }
+
+  // Length limits come straight from the Item schema
+  for (const field of ['name', 'category']) {
+    const value = values[field];
+    const maxlength = Item.schema.path(field).options.maxlength;
+    if (typeof value !== 'string' || !value.trim()) {
+      errors.push(`${field} is required`);
+    } else if (value.trim().length > maxlength) {
+      errors.push(`${field} is longer than ${maxlength} characters`);
+    } else {
+      fields[field] = value.trim();
+    }
+  }
+
+  try {
+    Object.assign(fields, applyCategory(fields, findCategory));
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  if (isBlank(values.price)) {
+    errors.push('price is required');
+  } else {
+    const price =
+      format === 'csv' ? Number(String(values.price).trim()) : values.price;
+    if (typeof price !== 'number' || !Number.isFinite(price)) {
+      errors.push(`price "${values.price}" is not a number`);
+    } else if (price < 0) {
+      errors.push('price must be a positive number');
+    } else {
+      fields.price = price;
+    }
+  }
+
+  return { id, fields, errors };
+}
+
+// POST /api/items/import?mode=upsert|append&dryRun=true
+router.post(
+  '/import',
+  receiveImportUpload,
+  // The app-wide JSON parser skips this route (see app.js) so JSON bodies
+  // get the same limit as uploads
+  express.json({ limit: MAX_IMPORT_BYTES }),
+  express.text({ type: 'text/csv', limit: MAX_IMPORT_BYTES }),
+  async (req, res, next) => {
+    try {
+      const { mode = 'upsert', dryRun = 'false' } = req.query;
+      if (!IMPORT_MODES.includes(mode)) {
+        const err = new Error(
+          `Invalid mode. Allowed: ${IMPORT_MODES.join(', ')}`
+        );
+        err.status = 400;
+        throw err;
+      }
+      const isDryRun = dryRun === 'true';
+      const format = detectImportFormat(req);
+      const { headerErrors, rows } = readImportRows(req, format);
+
+      if (rows.length > MAX_IMPORT_ROWS) {
+        const err = new Error(
+          `Import is limited to ${MAX_IMPORT_ROWS} rows per request`
+        );
+        err.status = 400;
+        throw err;
+      }
+
+      // 🛡️ LINE-BY-LINE VALIDATION - every row is checked, errors collected
+      const findCategory = await loadCategories(
+        rows.map((row) => row.values.category)
+      );
+      const seenIds = new Set();
+      const checked = rows.map((row) => {
+        const { id, fields, errors } = validateImportRow(
+          row.values,
+          format,
+          findCategory
+        );
+        const rowId = mode === 'upsert' ? id : undefined;
+        if (rowId !== undefined && seenIds.has(rowId)) {
+          errors.push(`id ${rowId} appears more than once in this import`);
+        }
+        if (rowId !== undefined) seenIds.add(rowId);
+        return {
+          ...row,
+          id: rowId,
+          fields,
+          errors: [...row.errors, ...errors],
+        };
+      });
+
+      const invalidCount = checked.filter((row) => row.errors.length).length;
+      const report = {
+        format,
+        mode,
+        dryRun: isDryRun,
+        valid: headerErrors.length === 0 && invalidCount === 0,
+        ...(format === 'csv' && {
+          header: { line: 1, errors: headerErrors },
+        }),
+        summary: {
+          total: checked.length,
+          valid: checked.length - invalidCount,
+          invalid: invalidCount,
+        },
+      };
+      const toReportRow = (row, status) => ({
+        ...row.position,
+        status,
+        ...(row.id !== undefined && { id: row.id }),
+        ...(row.errors.length > 0 && { errors: row.errors }),
+      });
+
+      if (isDryRun || !report.valid) {
+        return res.status(isDryRun ? 200 : 400).json({
+          ...(!isDryRun && {
+            error: 'Import has invalid rows; nothing was written',
+          }),
+          ...report,
+          rows: checked.map((row) =>
+            toReportRow(row, row.errors.length ? 'invalid' : 'valid')
+          ),
+        });
+      }
+
+      // 💾 WRITE - one ordered bulkWrite; new ids reserved as a single block
+      // Explicit ids are claimed first, so neither a concurrent POST nor this
+      // file's own new rows can be given one of them
+      if (seenIds.size > 0) {
+        await Item.claimIds(Math.max(...seenIds));
+      }
+      const creates = checked.filter((row) => row.id === undefined);
+      let nextId = creates.length ? await Item.reserveIds(creates.length) : 0;
+      for (const row of creates) {
+        row.newId = nextId++;
+      }
+
+      // Current state of the upserted ids (trashed included) for the audit diff
+      const existingItems = new Map(
+        (
+          await Item.find({ id: { $in: [...seenIds] } })
+            .setOptions({ withDeleted: true })
+            .lean()
+        ).map((item) => [item.id, item])
+      );
+
+      const result = await Item.bulkWrite(
+        checked.map((row) =>
+          row.newId !== undefined
+            ? {
+                insertOne: {
+                  document: {
+                    id: row.newId,
+                    ...row.fields,
+                    ...Item.searchKeysFor(row.fields),
+                  },
+                },
+              }
+            : {
+                updateOne: {
+                  filter: { id: row.id },
+                  // bulkWrite skips the soft delete middleware - the id
+                  // may belong to a trashed item, which is restored
+                  update: {
+                    $set: {
+                      ...row.fields,
+                      ...Item.searchKeysFor(row.fields),
+                      deletedAt: null,
+                    },
+                    $inc: { __v: 1 },
+                  },
+                  upsert: true,
+                },
+              }
+        ),
+        { ordered: true }
+      );
+
+      await recordItemChanges(
+        checked.map((row) => {
+          const id = row.newId !== undefined ? row.newId : row.id;
+          const before = existingItems.get(id) || null;
+          return {
+            action: before ? 'update' : 'create',
+            before,
+            after: { ...before, id, ...row.fields, deletedAt: null },
+          };
+        }),
+        getAuditContext(req)
+      );
+
+      const upserted = new Set(
+        Object.keys(result.upsertedIds || {}).map(Number)
+      );
+      const rowsReport = checked.map((row, i) =>
+        row.newId !== undefined
+          ? toReportRow({ ...row, id: row.newId }, 'created')
+          : toReportRow(row, upserted.has(i) ? 'created' : 'updated')
+      );
+
+      res.json({
+        ...report,
+        summary: {
+          ...report.summary,
+          created: rowsReport.filter((r) => r.status === 'created').length,
+          updated: rowsReport.filter((r) => r.status === 'updated').length,
+        },
+        rows: rowsReport,
+      });
+    } catch (err) {
+      next(toClientError(err));
+    }
+  }
+);
+
+//  TRASH - Soft-deleted items, restore and purge
+//
+// Why Soft Delete:
+// - DELETE /api/items/:id only sets deletedAt, so accidental deletes are undone
+//   with one restore call
+// - Purging (a real delete) is a separate, explicit request on the trash
+// - These routes filter on deletedAt themselves, which turns off the model's
+//   "hide trashed items" middleware
+const TRASHED = { deletedAt: { $ne: null } };
+
+// GET /api/items/trash?page=1&limit=10 - Most recently deleted first
+router.get('/trash', async (req, res, next) => {
+  try {
+    const { pageNum, limitNum } = parsePageParams(req.query, {
+      defaultLimit: 10,
+      maxLimit: MAX_CURSOR_LIMIT,
+    });
+
+    const [items, total] = await Promise.all([
+      Item.find(TRASHED)
+        .sort({ deletedAt: -1, id: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Item.countDocuments(TRASHED),
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+    res.json({
+      items,
+      pagination: {
+        total,
+        totalPages,
+        currentPage: pageNum,
+        limit: limitNum,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/items/trash?olderThan=2024-01-01 - Purge the trash for good
+router.delete('/trash', async (req, res, next) => {
+  try {
+    const filter = { ...TRASHED };
+    if (req.query.olderThan !== undefined) {
+      const olderThan = parseDateParam(req.query.olderThan, 'olderThan');
+      filter.deletedAt = { ...filter.deletedAt, $lt: olderThan };
+    }
+
+    // Read first so each purged item gets its own audit entry
+    const purgedItems = await Item.find(filter).lean();
+    const { deletedCount } = await Item.deleteMany({
+      _id: { $in: purgedItems.map((item) => item._id) },
+      ...TRASHED,
+    });
+    await recordItemChanges(
+      purgedItems.map((item) => ({ action: 'purge', before: item })),
+      getAuditContext(req)
+    );
+    for (const item of purgedItems) {
+      await removeImageFiles(item.id, item.images || []);
+    }
+    await Review.deleteMany({
+      itemId: { $in: purgedItems.map((item) => item.id) },
+    });
+
+    res.json({ purged: deletedCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/items/trash/:id - Purge one trashed item (live items can't be purged)
+router.delete('/trash/:id', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const purged = await Item.findOneAndDelete({ id: itemId, ...TRASHED });
+    if (!purged) {
+      const err = new Error('Item not found in trash');
+      err.status = 404;
+      throw err;
+    }
+    await recordItemChanges(
+      [{ action: 'purge', before: purged }],
+      getAuditContext(req)
+    );
+    await removeImageFiles(itemId, purged.images || []);
+    await Review.deleteMany({ itemId });
+
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/restore - Move a trashed item back into the catalog
+router.post('/:id/restore', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const trashed = await Item.findOneAndUpdate(
+      { id: itemId, ...TRASHED },
+      { $set: { deletedAt: null }, $inc: { __v: 1 } },
+      { new: false }
+    );
+    if (!trashed) {
+      const err = new Error('Item not found in trash');
+      err.status = 404;
+      throw err;
+    }
+    const restored = trashed
+      .$clone()
+      .set({ deletedAt: null, __v: (trashed.__v || 0) + 1 });
+    await recordItemChanges(
+      [{ action: 'restore', before: trashed, after: restored }],
+      getAuditContext(req)
+    );
+
+    res.json(restored);
+  } catch (err) {
+    next(err);
+  }
+});
+
+//  INVENTORY - Atomic stock movements
+//
+// POST /api/items/:id/stock/:action with { "quantity": n }
+// - receive: n units arrive (stock += n)
+// - adjust: stock count correction, n may be negative (stock += n)
+// - reserve: hold n available units for an order (reserved += n)
+// - release: give n reserved units back (reserved -= n)
+//
+// Why Conditional $inc Instead of Read-Modify-Write:
+// - The "enough units?" check is part of the update filter, so two
+//   concurrent reservations can never both take the last unit
+// - Available stock (stock - reserved) never goes negative; a request that
+//   would break that matches nothing and gets a 409
+const STOCK_ACTIONS = {
+  receive: (quantity) => ({ update: { stock: quantity } }),
+  adjust: (quantity) => ({
+    update: { stock: quantity },
+    // Removing units may not eat into reserved ones
+    condition:
+      quantity < 0 ? { $expr: { $gte: [AVAILABLE_STOCK, -quantity] } } : {},
+  }),
+  reserve: (quantity) => ({
+    update: { reserved: quantity },
+    condition: { $expr: { $gte: [AVAILABLE_STOCK, quantity] } },
+  }),
+  release: (quantity) => ({
+    update: { reserved: -quantity },
+    condition: { reserved: { $gte: quantity } },
+  }),
+};
+
+// Helper function to shape an item's stock fields for API responses
+function toStockLevel(item) {
+  const stock = item.stock || 0;
+  const reserved = item.reserved || 0;
+  const lowStockThreshold =
+    item.lowStockThreshold ?? Item.DEFAULT_LOW_STOCK_THRESHOLD;
+  const available = stock - reserved;
+  return {
+    id: item.id,
+    stock,
+    reserved,
+    available,
+    lowStockThreshold,
+    lowStock: available <= lowStockThreshold,
+  };
+}
+
+// Helper function to validate the quantity for a stock action
+function parseStockQuantity(action, quantity) {
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    const err = new Error('quantity must be a non-zero integer');
+    err.status = 400;
+    throw err;
+  }
+  if (action !== 'adjust' && quantity < 0) {
+    const err = new Error(
+      `quantity must be positive for ${action} (use adjust to correct counts)`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return quantity;
+}
+
+// GET /api/items/:id/stock - Current stock level
+router.get('/:id/stock', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const item = await Item.findOne({ id: itemId }).lean();
+    if (!item) {
+      const err = new Error('Item not found');
+      err.status = 404;
+      throw err;
+    }
+
+    res.set({ ETag: getItemETag(item), 'Cache-Control': 'no-cache' });
+    res.json(toStockLevel(item));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/stock/:action - receive | adjust | reserve | release
+router.post('/:id/stock/:action', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const { action } = req.params;
+    if (!Object.prototype.hasOwnProperty.call(STOCK_ACTIONS, action)) {
+      const err = new Error(
+        `Invalid stock action. Allowed: ${Object.keys(STOCK_ACTIONS).join(
+          ', '
+        )}`
+      );
+      err.status = 400;
+      throw err;
+    }
+    const quantity = parseStockQuantity(action, (req.body || {}).quantity);
+    const versions = parseIfMatch(req);
+    const { update, condition = {} } = STOCK_ACTIONS[action](quantity);
+
+    const previousItem = await Item.findOneAndUpdate(
+      withVersionCondition({ id: itemId, ...condition }, versions),
+      { $inc: { ...update, __v: 1 } },
+      { new: false }
+    );
+
+    if (!previousItem) {
+      // Nothing matched: missing item, stale If-Match, or not enough units
+      const item = await Item.findOne({ id: itemId }).lean();
+      if (!item) {
+        const err = new Error('Item not found');
+        err.status = 404;
+        throw err;
+      }
+      if (versions && !versions.includes(item.__v || 0)) {
+        throw preconditionFailed();
+      }
+      const level = toStockLevel(item);
+      const err = new Error(
+        action === 'release'
+          ? `Cannot release ${quantity}: only ${level.reserved} reserved`
+          : `Insufficient stock: ${level.available} available`
+      );
+      err.status = 409;
+      throw err;
+    }
+
+    const before = previousItem.toObject();
+    const after = { ...before, __v: (before.__v || 0) + 1 };
+    for (const [field, delta] of Object.entries(update)) {
+      after[field] = (before[field] || 0) + delta;
+    }
+    await recordItemChanges(
+      [{ action: 'update', before, after }],
+      getAuditContext(req)
+    );
+
+    res.set('ETag', getItemETag(after));
+    res.json({ action, quantity, ...toStockLevel(after) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+//  VARIANTS - Sellable versions of an item (switch type, size, colour)
+//
+// GET|POST /api/items/:id/variants, PATCH|DELETE /api/items/:id/variants/:sku
+// - A variant is { sku, options: { switch: 'Brown' }, price, stock }
+// - SKUs are unique across the catalog; option combinations are unique
+//   within an item
+// - Writes are single conditional updates on the item (bumping its version,
+//   so If-Match works here too); duplicates are 409s
+//
+// Why Embedded Instead of a Collection:
+// - An item is always shown with its variants, so one read serves both
+// - The list's price filters match item and variant prices in one query
+
+// Helper function to validate a variant payload
+// With `partial: true` (PATCH) only the fields present are checked; the SKU
+// is the variant's address and can't be changed
+function validateVariantPayload(body, { partial = false } = {}) {
+  const { sku, options, price, stock } = body || {};
+  const fields = {};
+
+  if (
+    !partial &&
+    (sku === undefined || options === undefined || price === undefined)
+  ) {
+    const err = new Error('Missing required fields: sku, options, price');
+    err.status = 400;
+    throw err;
+  }
+
+  if (!partial) {
+    if (typeof sku !== 'string' || !Item.SKU_PATTERN.test(sku.trim())) {
+      const err = new Error(
+        'sku must be 1-64 letters, digits, ".", "_" or "-", starting with a letter or digit'
+      );
+      err.status = 400;
+      throw err;
+    }
+    fields.sku = sku.trim();
+  }
+
+  // Options: keys sorted so the same combination is always stored the same
+  if (options !== undefined) {
+    if (
+      options === null ||
+      typeof options !== 'object' ||
+      Array.isArray(options)
+    ) {
+      const err = new Error(
+        'options must be an object, e.g. { "switch": "Brown" }'
+      );
+      err.status = 400;
+      throw err;
+    }
+    const entries = Object.entries(options);
+    if (entries.length === 0 || entries.length > Item.MAX_VARIANT_OPTIONS) {
+      const err = new Error(
+        `A variant needs 1 to ${Item.MAX_VARIANT_OPTIONS} options`
+      );
+      err.status = 400;
+      throw err;
+    }
+    for (const [key, value] of entries) {
+      if (!Item.ATTRIBUTE_KEY_PATTERN.test(key)) {
+        const err = new Error(
+          `Invalid option name "${key}": use letters, digits, _ or -, starting with a letter`
+        );
+        err.status = 400;
+        throw err;
+      }
+      if (
+        typeof value !== 'string' ||
+        !value.trim() ||
+        value.trim().length > Item.MAX_OPTION_VALUE_LENGTH
+      ) {
+        const err = new Error(
+          `Option "${key}" must be a non-empty string of at most ${Item.MAX_OPTION_VALUE_LENGTH} characters`
+        );
+        err.status = 400;
+        throw err;
+      }
+    }
+    fields.options = Object.fromEntries(
+      entries
+        .map(([key, value]) => [key, value.trim()])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    );
+  }
+
+  if (price !== undefined) {
+    if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+      const err = new Error('Price must be a positive number');
+      err.status = 400;
+      throw err;
+    }
+    fields.price = price;
+  }
+
+  if (stock !== undefined) {
+    if (!Number.isInteger(stock) || stock < 0) {
+      const err = new Error('stock must be a non-negative integer');
+      err.status = 400;
+      throw err;
+    }
+    fields.stock = stock;
+  }
+
+  if (partial && Object.keys(fields).length === 0) {
+    const err = new Error(
+      'No updatable fields provided: options, price, stock'
+    );
+    err.status = 400;
+    throw err;
+  }
+  return fields;
+}
+
+// Helper function to check two option maps for the same combination
+function isSameOptions(a, b) {
+  const aKeys = Object.keys(a);
+  return (
+    aKeys.length === Object.keys(b).length &&
+    aKeys.every((key) => a[key] === b[key])
+  );
+}
+
+// Helper function to explain why a conditional variant write matched nothing
+// Re-reads the item: missing item, stale If-Match, unknown SKU or a conflict
+async function throwVariantWriteMiss(itemId, versions, { sku, fields }) {
+  const item = await Item.findOne({ id: itemId }).lean();
+  if (!item) {
+    const err = new Error('Item not found');
+    err.status = 404;
+    throw err;
+  }
+  if (versions && !versions.includes(item.__v || 0)) {
+    throw preconditionFailed();
+  }
+  const variants = item.variants || [];
+  if (sku !== undefined && !variants.some((v) => v.sku === sku)) {
+    const err = new Error(`Variant "${sku}" not found`);
+    err.status = 404;
+    throw err;
+  }
+  if (fields.sku !== undefined && variants.some((v) => v.sku === fields.sku)) {
+    const err = new Error(`Variant "${fields.sku}" already exists`);
+    err.status = 409;
+    throw err;
+  }
+  if (
+    fields.options &&
+    variants.some(
+      (v) => v.sku !== sku && isSameOptions(v.options, fields.options)
+    )
+  ) {
+    const err = new Error('Another variant already has these options');
+    err.status = 409;
+    throw err;
+  }
+  const err = new Error(
+    `An item can have at most ${Item.MAX_VARIANTS} variants`
+  );
+  err.status = 409;
+  throw err;
+}
+
+// Helper function to surface SKUs taken by another item as 409s
+function toVariantClientError(err) {
+  if (err.code === 11000) {
+    const conflict = new Error('SKU is already used by another item');
+    conflict.status = 409;
+    return conflict;
+  }
+  return toClientError(err);
+}
+
+// GET /api/items/:id/variants - All variants of an item
+router.get('/:id/variants', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const item = await Item.findOne(
+      { id: itemId },
+      { variants: 1, __v: 1 }
+    ).lean();
+    if (!item) {
+      const err = new Error('Item not found');
+      err.status = 404;
+      throw err;
+    }
+
+    res.set({ ETag: getItemETag(item), 'Cache-Control': 'no-cache' });
+    res.json({ itemId, variants: item.variants || [] });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/variants - Add a variant { sku, options, price, stock? }
+router.post('/:id/variants', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const fields = validateVariantPayload(req.body);
+    const variant = { ...fields, stock: fields.stock ?? 0 };
+    const versions = parseIfMatch(req);
+
+    // SKU, option combination and the variant cap are all part of the
+    // filter, so concurrent adds can't slip a duplicate in
+    const previousItem = await Item.findOneAndUpdate(
+      withVersionCondition(
+        {
+          id: itemId,
+          variants: {
+            $not: {
+              $elemMatch: {
+                $or: [{ sku: variant.sku }, { options: variant.options }],
+              },
+            },
+          },
+          [`variants.${Item.MAX_VARIANTS - 1}`]: { $exists: false },
+        },
+        versions
+      ),
+      { $push: { variants: variant }, $inc: { __v: 1 } },
+      { new: false, runValidators: true }
+    );
+    if (!previousItem) {
+      await throwVariantWriteMiss(itemId, versions, { fields });
+    }
+
+    const after = await recordItemUpdate(req, previousItem, {
+      variants: [...previousItem.toObject().variants, variant],
+    });
+    res.set('ETag', getItemETag(after));
+    res.status(201).json(variant);
+  } catch (err) {
+    next(toVariantClientError(err));
+  }
+});
+
+// PATCH /api/items/:id/variants/:sku - Update options, price or stock
+router.patch('/:id/variants/:sku', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const { sku } = req.params;
+    if (req.body && req.body.sku !== undefined && req.body.sku !== sku) {
+      const err = new Error('sku cannot be changed; add a new variant instead');
+      err.status = 400;
+      throw err;
+    }
+    const fields = validateVariantPayload(req.body, { partial: true });
+    const versions = parseIfMatch(req);
+
+    const condition = { id: itemId, 'variants.sku': sku };
+    if (fields.options) {
+      condition.variants = {
+        $not: { $elemMatch: { sku: { $ne: sku }, options: fields.options } },
+      };
+    }
+    const previousItem = await Item.findOneAndUpdate(
+      withVersionCondition(condition, versions),
+      {
+        $set: Object.fromEntries(
+          Object.entries(fields).map(([key, value]) => [
+            `variants.$.${key}`,
+            value,
+          ])
+        ),
+        $inc: { __v: 1 },
+      },
+      { new: false, runValidators: true }
+    );
+    if (!previousItem) {
+      await throwVariantWriteMiss(itemId, versions, { sku, fields });
+    }
+
+    const variants = previousItem
+      .toObject()
+      .variants.map((v) => (v.sku === sku ? { ...v, ...fields } : v));
+    const after = await recordItemUpdate(req, previousItem, { variants });
+    res.set('ETag', getItemETag(after));
+    res.json(variants.find((v) => v.sku === sku));
+  } catch (err) {
+    next(toVariantClientError(err));
+  }
+});
+
+// DELETE /api/items/:id/variants/:sku - Remove a variant
+router.delete('/:id/variants/:sku', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const { sku } = req.params;
+    const versions = parseIfMatch(req);
+
+    const previousItem = await Item.findOneAndUpdate(
+      withVersionCondition({ id: itemId, 'variants.sku': sku }, versions),
+      { $pull: { variants: { sku } }, $inc: { __v: 1 } },
+      { new: false }
+    );
+    if (!previousItem) {
+      await throwVariantWriteMiss(itemId, versions, { sku, fields: {} });
+    }
+
+    const after = await recordItemUpdate(req, previousItem, {
+      variants: previousItem.toObject().variants.filter((v) => v.sku !== sku),
+    });
+    res.set('ETag', getItemETag(after));
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+//  IMAGES - Uploads kept in the pluggable storage backend (src/storage)
+//
+// POST   /api/items/:id/images                   multipart field "image"
+// GET    /api/items/:id/images                   metadata + URLs, in order
+// GET    /api/items/:id/images/:imageId/original|thumbnail
+// PUT    /api/items/:id/images/order             { "order": [imageIds] }
+// POST   /api/items/:id/images/:imageId/primary  move it to the front
+// DELETE /api/items/:id/images/:imageId
+//
+// Why the First Image Is the Primary One:
+// - One ordered list answers both "in which order" and "which is primary",
+//   so the two can never disagree; picking a primary is just a reorder
+//
+// Why Files Are Served Through the API:
+// - Image ids are never reused and files never change, so responses are
+//   cacheable for a year (immutable) whatever the storage backend
+const IMAGE_SIZES = ['original', 'thumbnail'];
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024; // 10MB
+const IMAGE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+const receiveImageUpload = receiveUpload('image', MAX_IMAGE_BYTES);
+
+// Helper function to derive the storage key of one size of an image
+function getImageKey(itemId, image, size) {
+  return size === 'thumbnail'
+    ? `items/${itemId}/${image.id}-thumbnail.webp`
+    : `items/${itemId}/${image.id}.${image.extension}`;
+}
+
+// Helper function to shape image metadata for API responses
+function toImageResponse(itemId, image) {
+  const url = `/api/items/${itemId}/images/${image.id}`;
+  return {
+    ...image,
+    url: `${url}/original`,
+    thumbnailUrl: `${url}/thumbnail`,
+  };
+}
+
+// Helper function to delete the files of removed images
+// Best effort: the database is the source of truth, a leftover file is
+// only wasted space, so failures are logged rather than failing the request
+async function removeImageFiles(itemId, images) {
+  const storage = getStorage();
+  await Promise.all(
+    images.flatMap((image) =>
+      IMAGE_SIZES.map((size) =>
+        storage
+          .remove(getImageKey(itemId, image, size))
+          .catch((err) =>
+            console.error(`Failed to remove image ${image.id}:`, err)
+          )
+      )
+    )
+  );
+}
+
+// Helper function to explain why a conditional image write matched nothing
+async function throwImageWriteMiss(itemId, versions, imageId) {
+  const item = await Item.findOne({ id: itemId }).lean();
+  if (!item) {
+    const err = new Error('Item not found');
+    err.status = 404;
+    throw err;
+  }
+  if (versions && !versions.includes(item.__v || 0)) {
+    throw preconditionFailed();
+  }
+  if (
+    imageId !== undefined &&
+    !(item.images || []).some((image) => image.id === imageId)
+  ) {
+    const err = new Error('Image not found');
+    err.status = 404;
+    throw err;
+  }
+  const err = new Error(`An item can have at most ${Item.MAX_IMAGES} images`);
+  err.status = 409;
+  throw err;
+}
+
+// Helper function to save a new image order
+// reorder(images) returns the reordered list (or throws a 4xx). The write is
+// conditional on the version just read, so a concurrent upload or delete
+// can't be silently dropped - that case is a 412 like a stale If-Match
+async function reorderImages(req, reorder) {
+  const itemId = parseItemId(req.params.id);
+  const versions = parseIfMatch(req);
+  const item = await Item.findOne({ id: itemId }).lean();
+  if (!item) {
+    const err = new Error('Item not found');
+    err.status = 404;
+    throw err;
+  }
+  if (versions && !versions.includes(item.__v || 0)) {
+    throw preconditionFailed();
+  }
+
+  const images = reorder(item.images || []);
+  const readVersion = [item.__v || 0];
+  const previousItem = await Item.findOneAndUpdate(
+    withVersionCondition({ id: itemId }, readVersion),
+    { $set: { images }, $inc: { __v: 1 } },
+    { new: false }
+  );
+  if (!previousItem) {
+    await throwWriteMiss(itemId, readVersion);
+  }
+  return recordItemUpdate(req, previousItem, { images });
+}
+
+// GET /api/items/:id/images - Image metadata with URLs, primary first
+router.get('/:id/images', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const item = await Item.findOne(
+      { id: itemId },
+      { images: 1, __v: 1 }
+    ).lean();
+    if (!item) {
+      const err = new Error('Item not found');
+      err.status = 404;
+      throw err;
+    }
+
+    res.set({ ETag: getItemETag(item), 'Cache-Control': 'no-cache' });
+    res.json({
+      itemId,
+      images: (item.images || []).map((image) =>
+        toImageResponse(itemId, image)
+      ),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/images - Upload one image (JPEG, PNG, WebP or GIF)
+router.post('/:id/images', receiveImageUpload, async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    if (!req.file) {
+      const err = new Error(
+        'Send the image as multipart/form-data in a field named "image"'
+      );
+      err.status = 400;
+      throw err;
+    }
+    const versions = parseIfMatch(req);
+    const { thumbnail, ...format } = await processImage(req.file.buffer);
+    const image = {
+      id: randomBytes(8).toString('hex'),
+      ...format,
+      size: req.file.size,
+      uploadedAt: new Date(),
+    };
+
+    // Files first: once the item lists an image it must be servable
+    const storage = getStorage();
+    await storage.save(getImageKey(itemId, image, 'original'), req.file.buffer);
+    await storage.save(getImageKey(itemId, image, 'thumbnail'), thumbnail);
+
+    let previousItem;
+    try {
+      previousItem = await Item.findOneAndUpdate(
+        withVersionCondition(
+          {
+            id: itemId,
+            [`images.${Item.MAX_IMAGES - 1}`]: { $exists: false },
+          },
+          versions
+        ),
+        { $push: { images: image }, $inc: { __v: 1 } },
+        { new: false }
+      );
+      if (!previousItem) {
+        await throwImageWriteMiss(itemId, versions);
+      }
+    } catch (err) {
+      await removeImageFiles(itemId, [image]);
+      throw err;
+    }
+
+    const after = await recordItemUpdate(req, previousItem, {
+      images: [...previousItem.toObject().images, image],
+    });
+    res.set('ETag', getItemETag(after));
+    res.status(201).json(toImageResponse(itemId, image));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/items/:id/images/order - { "order": [every image id, new order] }
+router.put('/:id/images/order', async (req, res, next) => {
+  try {
+    const { order } = req.body || {};
+    const after = await reorderImages(req, (images) => {
+      const ids = images.map((image) => image.id);
+      if (
+        !Array.isArray(order) ||
+        order.length !== ids.length ||
+        new Set(order).size !== order.length ||
+        !ids.every((id) => order.includes(id))
+      ) {
+        const err = new Error('order must list every image id exactly once');
+        err.status = 400;
+        throw err;
+      }
+      return order.map((id) => images[ids.indexOf(id)]);
+    });
+
+    res.set('ETag', getItemETag(after));
+    res.json({
+      itemId: after.id,
+      images: after.images.map((image) => toImageResponse(after.id, image)),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/images/:imageId/primary - Make an image the primary one
+router.post('/:id/images/:imageId/primary', async (req, res, next) => {
+  try {
+    const { imageId } = req.params;
+    const after = await reorderImages(req, (images) => {
+      const image = images.find((candidate) => candidate.id === imageId);
+      if (!image) {
+        const err = new Error('Image not found');
+        err.status = 404;
+        throw err;
+      }
+      return [image, ...images.filter((other) => other !== image)];
+    });
+
+    res.set('ETag', getItemETag(after));
+    res.json({
+      itemId: after.id,
+      images: after.images.map((image) => toImageResponse(after.id, image)),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/items/:id/images/:imageId/:size - The file itself
+router.get('/:id/images/:imageId/:size', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const { imageId, size } = req.params;
+    if (!IMAGE_SIZES.includes(size)) {
+      const err = new Error(
+        `Invalid image size. Allowed: ${IMAGE_SIZES.join(', ')}`
+      );
+      err.status = 404;
+      throw err;
+    }
+    const item = await Item.findOne(
+      { id: itemId, 'images.id': imageId },
+      { 'images.$': 1 }
+    ).lean();
+    if (!item) {
+      const err = new Error('Image not found');
+      err.status = 404;
+      throw err;
+    }
+
+    const [image] = item.images;
+    const key = getImageKey(itemId, image, size);
+    const storage = getStorage();
+    const stats = await storage.stat(key);
+    if (!stats) {
+      const err = new Error('Image file is missing from storage');
+      err.status = 404;
+      throw err;
+    }
+
+    res.set({
+      'Content-Type':
+        size === 'thumbnail' ? THUMBNAIL_CONTENT_TYPE : image.contentType,
+      'Content-Length': stats.size,
+      'Cache-Control': IMAGE_CACHE_CONTROL,
+      ETag: `"${image.id}-${size}"`,
+      'Last-Modified': stats.modifiedAt.toUTCString(),
+      // Never let a browser sniff an upload into something executable
+      'X-Content-Type-Options': 'nosniff',
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    await pipeline(storage.createReadStream(key), res);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/items/:id/images/:imageId - Remove an image and its files
+router.delete('/:id/images/:imageId', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const { imageId } = req.params;
+    const versions = parseIfMatch(req);
+
+    const previousItem = await Item.findOneAndUpdate(
+      withVersionCondition({ id: itemId, 'images.id': imageId }, versions),
+      { $pull: { images: { id: imageId } }, $inc: { __v: 1 } },
+      { new: false }
+    );
+    if (!previousItem) {
+      await throwImageWriteMiss(itemId, versions, imageId);
+    }
+
+    const { images } = previousItem.toObject();
+    const after = await recordItemUpdate(req, previousItem, {
+      images: images.filter((image) => image.id !== imageId),
+    });
+    await removeImageFiles(
+      itemId,
+      images.filter((image) => image.id === imageId)
+    );
+
+    res.set('ETag', getItemETag(after));
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+//  REVIEWS - Customer ratings (1-5 stars) with a title and optional body
+//
+// POST /api/items/:id/reviews   { "rating": 4, "title": "...", "body": "...", "author": "..." }
+// GET  /api/items/:id/reviews?page=1&limit=10&sort=-createdAt
+//
+// Why the Item Keeps the Aggregate:
+// - Lists show and sort on rating (?sort=-rating), which must not mean a
+//   lookup into the reviews collection for every row
+// - One pipeline update folds the new star count into the stored average,
+//   so concurrent reviews can't overwrite each other's count
+// - The aggregate is part of the item, so __v (and the ETag) moves with it
+const MAX_REVIEW_LIMIT = 50;
+const REVIEW_SORTS = {
+  '-createdAt': { createdAt: -1, _id: -1 },
+  createdAt: { createdAt: 1, _id: 1 },
+  '-rating': { rating: -1, createdAt: -1, _id: -1 },
+  rating: { rating: 1, createdAt: -1, _id: -1 },
+};
+
+// Helper function to validate a new review
+// Author is optional (defaults to "Anonymous")
+function validateReviewPayload(body) {
+  const { rating, title, author } = body || {};
+  const reviewBody = body ? body.body : undefined;
+
+  if (rating === undefined || title === undefined) {
+    const err = new Error('Missing required fields: rating, title');
+    err.status = 400;
+    throw err;
+  }
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    const err = new Error('rating must be a whole number from 1 to 5');
+    err.status = 400;
+    throw err;
+  }
+  if (
+    typeof title !== 'string' ||
+    !title.trim() ||
+    title.trim().length > Review.MAX_REVIEW_TITLE_LENGTH
+  ) {
+    const err = new Error(
+      `title must be a non-empty string of at most ${Review.MAX_REVIEW_TITLE_LENGTH} characters`
+    );
+    err.status = 400;
+    throw err;
+  }
+  const fields = { rating, title: title.trim() };
+
+  if (reviewBody !== undefined) {
+    if (
+      typeof reviewBody !== 'string' ||
+      reviewBody.trim().length > Review.MAX_REVIEW_BODY_LENGTH
+    ) {
+      const err = new Error(
+        `body must be a string of at most ${Review.MAX_REVIEW_BODY_LENGTH} characters`
+      );
+      err.status = 400;
+      throw err;
+    }
+    fields.body = reviewBody.trim();
+  }
+
+  if (author !== undefined && author !== '') {
+    if (
+      typeof author !== 'string' ||
+      !author.trim() ||
+      author.trim().length > Review.MAX_AUTHOR_LENGTH
+    ) {
+      const err = new Error(
+        `author must be a non-empty string of at most ${Review.MAX_AUTHOR_LENGTH} characters`
+      );
+      err.status = 400;
+      throw err;
+    }
+    fields.author = author.trim();
+  }
+
+  return fields;
+}
+
+// Helper function to build the update that adds one rating to the aggregate
+// Every expression reads the values from before the update:
+// new average = (average * count + rating) / (count + 1)
+function buildAddRatingUpdate(rating) {
+  const count = { $ifNull: ['$reviewCount', 0] };
+  return [
+    {
+      $set: {
+        rating: {
+          $divide: [
+            {
+              $add: [
+                { $multiply: [{ $ifNull: ['$rating', 0] }, count] },
+                rating,
+              ],
+            },
+            { $add: [count, 1] },
+          ],
+        },
+        reviewCount: { $add: [count, 1] },
+        __v: { $add: [{ $ifNull: ['$__v', 0] }, 1] },
+      },
+    },
+  ];
+}
+
+// GET /api/items/:id/reviews - One page of reviews plus the rating summary
+router.get('/:id/reviews', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const { sort = '-createdAt' } = req.query;
+    const { pageNum, limitNum } = parsePageParams(req.query, {
+      defaultLimit: 10,
+      maxLimit: MAX_REVIEW_LIMIT,
+    });
+    if (!Object.prototype.hasOwnProperty.call(REVIEW_SORTS, sort)) {
+      const err = new Error(
+        `Invalid sort "${sort}". Allowed: ${Object.keys(REVIEW_SORTS).join(
+          ', '
+        )}`
+      );
+      err.status = 400;
+      throw err;
+    }
+
+    const item = await Item.findOne(
+      { id: itemId },
+      { rating: 1, reviewCount: 1 }
+    ).lean();
+    if (!item) {
+      const err = new Error('Item not found');
+      err.status = 404;
+      throw err;
+    }
+
+    const [reviews, total, starCounts] = await Promise.all([
+      Review.find({ itemId })
+        .sort(REVIEW_SORTS[sort])
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Review.countDocuments({ itemId }),
+      Review.aggregate([
+        { $match: { itemId } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    // How many reviews gave each star count, e.g. { "5": 12, "4": 3, ... }
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const { _id: stars, count } of starCounts) {
+      distribution[stars] = count;
+    }
+
+    const totalPages = Math.ceil(total / limitNum);
+    res.json({
+      itemId,
+      rating: item.rating ?? null,
+      reviewCount: item.reviewCount || 0,
+      distribution,
+      reviews,
+      sort,
+      pagination: {
+        total,
+        totalPages,
+        currentPage: pageNum,
+        limit: limitNum,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/reviews - Add a review and update the item's rating
+// Responds with the review and the item's new { rating, reviewCount }
+router.post('/:id/reviews', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const fields = validateReviewPayload(req.body);
+
+    if (!(await Item.exists({ id: itemId }))) {
+      const err = new Error('Item not found');
+      err.status = 404;
+      throw err;
+    }
+
+    const review = await Review.create({ itemId, ...fields });
+    // withDeleted: an item trashed since the check above still counts the
+    // review, so its rating is right again after a restore
+    const item = await Item.findOneAndUpdate(
+      { id: itemId },
+      buildAddRatingUpdate(fields.rating),
+      { new: true, projection: { rating: 1, reviewCount: 1, __v: 1 } }
+    )
+      .setOptions({ withDeleted: true })
+      .lean();
+    if (!item) {
+      // Purged in the meantime - don't leave the review behind
+      await Review.deleteOne({ _id: review._id });
+      const err = new Error('Item not found');
+      err.status = 404;
+      throw err;
+    }
+
+    res.set('ETag', getItemETag(item));
+    res.status(201).json({
+      review,
+      rating: item.rating,
+      reviewCount: item.reviewCount,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/items/:id/prices?from=&to= - Price history, oldest change first
+// Each change has { oldPrice, newPrice, changedAt }; oldPrice is null for
+// the initial price. Items priced before tracking started have no changes
+// until their next price update - currentPrice is always included.
+router.get('/:id/prices', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const filter = { itemId };
+    if (req.query.from !== undefined || req.query.to !== undefined) {
+      filter.changedAt = {};
+      if (req.query.from !== undefined) {
+        filter.changedAt.$gte = parseDateParam(req.query.from, 'from');
+      }
+      if (req.query.to !== undefined) {
+        filter.changedAt.$lte = parseDateParam(req.query.to, 'to');
+      }
+    }
+
+    const [item, changes] = await Promise.all([
+      Item.findOne({ id: itemId }, { price: 1 }).lean(),
+      PriceChange.find(filter)
+        .sort({ changedAt: 1, _id: 1 })
+        .limit(MAX_PRICE_CHANGES),
+    ]);
+    if (!item) {
+      const err = new Error('Item not found');
+      err.status = 404;
+      throw err;
+    }
+
+    res.json({ itemId, currentPrice: item.price, changes });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/items/:id/history?page=1&limit=20 - Audit trail, newest first
+// Also works for trashed and purged items - history outlives the item
+router.get('/:id/history', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const { pageNum, limitNum } = parsePageParams(req.query, {
+      defaultLimit: 20,
+      maxLimit: MAX_CURSOR_LIMIT,
+    });
+
+    const [history, total] = await Promise.all([
+      AuditLog.find({ itemId })
+        .sort({ timestamp: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      AuditLog.countDocuments({ itemId }),
+    ]);
+
+    // Items created before the audit log existed have no entries yet
+    if (
+      total === 0 &&
+      !(await Item.exists({ id: itemId }).setOptions({ withDeleted: true }))
+    ) {
+      const err = new Error('Item not found');
+      err.status = 404;
+      throw err;
+    }
+
+    const totalPages = Math.ceil(total / limitNum);
+    res.json({
+      itemId,
+      history,
+      pagination: {
+        total,
+        totalPages,
+        currentPage: pageNum,
+        limit: limitNum,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/items/:id
+router.get('/:id', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+
+    // Find item by custom id field (not MongoDB _id)
+    const item = await Item.findOne({ id: itemId }).lean();
+    if (!item) {
+      const err = new Error('Item not found');
+      err.status = 404;
+      throw err;
+    }
+
+    // 🏷️ ETAG - clients send it back as If-Match on writes; a matching
+    // If-None-Match gets a 304 from res.json's freshness check
+    res.set({ ETag: getItemETag(item), 'Cache-Control': 'no-cache' });
+    res.json(item);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items
+router.post('/', async (req, res, next) => {
+  try {
+    // 🛡️ COMPREHENSIVE VALIDATION - Production-ready input validation
+    // Shared with PUT/PATCH so every write path enforces the same rules
+    const fields = await resolveCategory(validateItemPayload(req.body));
+    const savedItem = await createItem(fields, getAuditContext(req));
+
+    res.set('ETag', getItemETag(savedItem));
+    res.status(201).json(savedItem);
+  } catch (err) {
+    next(toClientError(err));
+  }
+});
+
+// PUT /api/items/:id - Full replace of the editable fields
+// Optional fields left out of the body go back to their defaults; stock,
+// variants, images and reviews have their own endpoints and are kept
+router.put('/:id', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const fields = await resolveCategory({
+      tags: [],
+      attributes: {},
+      lowStockThreshold: Item.DEFAULT_LOW_STOCK_THRESHOLD,
+      ...validateItemPayload(req.body),
+    });
+    const updatedItem = await updateItem(itemId, fields, getAuditContext(req), {
+      versions: parseIfMatch(req),
+    });
+
+    res.set('ETag', getItemETag(updatedItem));
+    res.json(updatedItem);
+  } catch (err) {
+    next(toClientError(err));
+  }
+});
+
+// PATCH /api/items/:id - Partial update, only the provided fields change
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    const fields = await resolveCategory(
+      validateItemPayload(req.body, { partial: true })
+    );
+    const updatedItem = await updateItem(itemId, fields, getAuditContext(req), {
+      versions: parseIfMatch(req),
+    });
+
+    res.set('ETag', getItemETag(updatedItem));
+    res.json(updatedItem);
+  } catch (err) {
+    next(toClientError(err));
+  }
+});
+
+// DELETE /api/items/:id - Soft delete; see POST /:id/restore and /trash
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const itemId = parseItemId(req.params.id);
+    await deleteItem(itemId, getAuditContext(req), {
+      versions: parseIfMatch(req),
+    });
+
+    res.status(204).end();
   } catch (err) {
     next(err);
   }
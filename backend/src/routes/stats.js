@@ -1,141 +1,783 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
+const Item = require('../models/Item');
+const Category = require('../models/Category');
+const {
+  buildItemFilter,
+  parseSearchMode,
+  parsePriceBoundaries,
+  parseDateParam,
+  AVAILABLE_STOCK,
+} = require('../utils/itemQuery');
 const router = express.Router();
-const DATA_PATH = path.join(__dirname, '../../../data/items.json');
 
 //  SMART CACHING SYSTEM - The Performance Multiplier
 //
 // Why In-Memory Caching is Essential:
-// - Reduces response time from ~17ms to ~0.1ms (170x faster)
+// - Serves repeated requests without re-running the aggregation
 // - Prevents expensive recalculations on every request
 // - Scales to handle 1000s of requests per second
-// - Reduces server CPU usage by 95%+
+// - Keeps database load flat no matter how often the dashboard polls
 //
 // Cache Structure Explained:
+// - One entry per distinct request (path + normalised query string), so
+//   filtered and per-category stats are cached independently
 // - data: The computed statistics (1KB typical size)
-// - lastModified: File modification timestamp for invalidation
 // - expiry: Time-based cache expiration
-let statsCache = {
-  data: null, // Cached computation result
-  lastModified: null, // File modification timestamp
-  expiry: null, // Time-based expiration
-};
+const statsCache = new Map();
+
+// Oldest entries are evicted first once this many filter combinations are cached
+const MAX_CACHE_ENTRIES = 100;
 
 //  CACHE CONFIGURATION - Optimal balance of freshness vs performance
 // 5 minutes chosen because:
-// - Stats don't change frequently in typical applications
-// - Balances data freshness with performance gains
-// - Reduces server load while maintaining reasonable accuracy
+// - Writes through the API invalidate the cache immediately (see below)
+// - The TTL only bounds staleness from writes made outside the API
+//   (mongo-express, the seed script)
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes in milliseconds
 
-//  FILE MODIFICATION TRACKING - The Secret Sauce of Smart Caching
+//  WRITE-THROUGH INVALIDATION - The Secret Sauce of Smart Caching
 //
-// Why This is Brilliant:
-// - fs.stat() is extremely fast (~0.1ms) compared to file reading (~10ms)
-// - OS maintains modification time automatically - zero overhead
-// - Millisecond precision detects even rapid file changes
-// - Works across all platforms and filesystems
-// - Enables instant cache invalidation when data actually changes
-async function getFileModifiedTime() {
-  try {
-    const stats = await fs.stat(DATA_PATH);
-    return stats.mtime.getTime(); // Millisecond precision timestamp
-  } catch (error) {
-    console.error('Error checking file modification time:', error);
-    return null;
+// Why Invalidate on Write:
+// - Items created/updated/deleted via /api/items show up in the next request
+// - No polling of the database or the filesystem to detect changes
+// - Routers that change items mount invalidateStatsOnWrite below
+//
+// Why a Generation Counter:
+// - A computation that was running when a write invalidated the cache may
+//   have read the old data; getCachedStats doesn't store what it returns
+let cacheGeneration = 0;
+
+function invalidateStatsCache() {
+  cacheGeneration++;
+  statsCache.clear();
+}
+
+// Middleware that clears the cache after every successful write
+// (POST/PUT/PATCH/DELETE) through the router that mounts it
+function invalidateStatsOnWrite(req, res, next) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.on('finish', () => {
+      if (res.statusCode < 400) {
+        invalidateStatsCache();
+      }
+    });
+  }
+  next();
+}
+
+// Helper function to serve a stats computation through the cache
+async function getCachedStats(key, compute) {
+  const now = Date.now();
+  const cached = statsCache.get(key);
+
+  // Check if we need to refresh cache
+  if (cached && now <= cached.expiry) {
+    console.log('Serving stats from cache');
+    return cached.data;
+  }
+
+  console.log('Refreshing stats cache...');
+  const generation = cacheGeneration;
+  const data = await compute();
+
+  // Invalidated while computing - serve the result, but don't keep it
+  if (generation !== cacheGeneration) {
+    return data;
+  }
+
+  // Map keeps insertion order, so the first key is the oldest entry
+  if (!statsCache.has(key) && statsCache.size >= MAX_CACHE_ENTRIES) {
+    statsCache.delete(statsCache.keys().next().value);
   }
+  statsCache.set(key, { data, expiry: now + CACHE_DURATION });
+  console.log(
+    `Stats cache updated. Next refresh: ${new Date(
+      now + CACHE_DURATION
+    ).toISOString()}`
+  );
+  return data;
+}
+
+// Helper function to build a cache key that ignores query param order
+function getCacheKey(req) {
+  const query = Object.keys(req.query)
+    .sort()
+    .map((key) => [key, req.query[key]]);
+  return `${req.baseUrl}${req.path}?${JSON.stringify(query)}`;
+}
+
+// Helper function to parse the same filters the items list accepts
+// (q, searchMode, category, name, minPrice, maxPrice) - invalid values throw a 400
+async function parseStatsFilter(query) {
+  return buildItemFilter(query, parseSearchMode(query.searchMode));
+}
+
+const roundPrice = (value) => Math.round(value * 100) / 100; // Round to 2 decimal places
+
+// Percentiles reported for every price summary
+const PERCENTILES = [25, 50, 75, 90, 99];
+
+// Items without a price count as 0, as they always have
+const PRICE_VALUE = { $ifNull: ['$price', 0] };
+
+// Group keys for the overall and the per-category figures
+const OVERALL_GROUP = { $literal: null };
+const CATEGORY_GROUP = { $ifNull: ['$category', 'Unknown'] };
+
+// Helper function to read a percentile of `count` ascending prices
+// Linear interpolation between the closest ranks (p50 of [1, 2] is 1.5),
+// the same method spreadsheets and numpy use by default
+// pricesAt maps a 0-based rank to its price - see findPercentilePrices
+function percentile(pricesAt, count, p) {
+  const rank = (p / 100) * (count - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  const value =
+    pricesAt.get(lower) +
+    (pricesAt.get(upper) - pricesAt.get(lower)) * (rank - lower);
+  return roundPrice(value);
+}
+
+// 🎯 EXACT PERCENTILES WITHOUT COLLECTING PRICES
+//
+// Why Not $push Every Price:
+// - One array of all prices per group lives in a single result document,
+//   which hits MongoDB's 16MB document limit on a large catalog
+// - $percentile (MongoDB 7) is approximate and doesn't interpolate
+// - Instead $setWindowFields numbers the prices of each group in ascending
+//   order and only the ranks the interpolation needs come back: at most two
+//   per percentile, whatever the catalog size
+//
+// Returns Map(group key -> Map(0-based rank -> price))
+async function findPercentilePrices(filter, groupKey) {
+  const rank = (p) => ({
+    $multiply: [p / 100, { $subtract: ['$groupSize', 1] }],
+  });
+  const rows = await Item.aggregate([
+    // $match stays first so a $text search (q with searchMode=text) is valid
+    { $match: filter },
+    { $project: { group: groupKey, price: PRICE_VALUE } },
+    {
+      $setWindowFields: {
+        partitionBy: '$group',
+        sortBy: { price: 1 },
+        output: {
+          position: { $documentNumber: {} },
+          groupSize: {
+            $count: {},
+            window: { documents: ['unbounded', 'unbounded'] },
+          },
+        },
+      },
+    },
+    {
+      $match: {
+        $expr: {
+          $in: [
+            { $subtract: ['$position', 1] },
+            PERCENTILES.flatMap((p) => [
+              { $floor: rank(p) },
+              { $ceil: rank(p) },
+            ]),
+          ],
+        },
+      },
+    },
+  ]);
+
+  const pricesByGroup = new Map();
+  for (const { group, position, price } of rows) {
+    if (!pricesByGroup.has(group)) {
+      pricesByGroup.set(group, new Map());
+    }
+    pricesByGroup.get(group).set(position - 1, price);
+  }
+  return pricesByGroup;
+}
+
+// Helper function to compute every reported percentile for one group
+function describePercentiles(pricesAt, count) {
+  return Object.fromEntries(
+    PERCENTILES.map((p) => [`p${p}`, percentile(pricesAt, count, p)])
+  );
+}
+
+// Accumulators shared by the overall and per-category $group stages
+const PRICE_SUMMARY_FIELDS = {
+  count: { $sum: 1 },
+  averagePrice: { $avg: PRICE_VALUE },
+  minPrice: { $min: PRICE_VALUE },
+  maxPrice: { $max: PRICE_VALUE },
+};
+
+// 📦 INVENTORY COUNTS - computed in the same $group as the prices
+// Low stock: some units left but at or below the item's threshold
+// Out of stock: nothing left that isn't reserved
+const LOW_STOCK_THRESHOLD = {
+  $ifNull: ['$lowStockThreshold', Item.DEFAULT_LOW_STOCK_THRESHOLD],
+};
+const INVENTORY_SUMMARY_FIELDS = {
+  totalUnits: { $sum: { $ifNull: ['$stock', 0] } },
+  reservedUnits: { $sum: { $ifNull: ['$reserved', 0] } },
+  lowStockCount: {
+    $sum: {
+      $cond: [
+        {
+          $and: [
+            { $gt: [AVAILABLE_STOCK, 0] },
+            { $lte: [AVAILABLE_STOCK, LOW_STOCK_THRESHOLD] },
+          ],
+        },
+        1,
+        0,
+      ],
+    },
+  },
+  outOfStockCount: {
+    $sum: { $cond: [{ $lte: [AVAILABLE_STOCK, 0] }, 1, 0] },
+  },
+};
+
+// Helper function to pick the inventory counts out of one $group result
+function summarizeInventory(group) {
+  return {
+    totalUnits: group.totalUnits,
+    reservedUnits: group.reservedUnits,
+    availableUnits: group.totalUnits - group.reservedUnits,
+    lowStockCount: group.lowStockCount,
+    outOfStockCount: group.outOfStockCount,
+  };
+}
+
+// Helper function to turn one $group result into the public price summary
+// pricesAt: the group's entry from findPercentilePrices
+function summarizePrices(group, pricesAt) {
+  const percentiles = describePercentiles(pricesAt, group.count);
+  return {
+    count: group.count,
+    averagePrice: roundPrice(group.averagePrice),
+    minPrice: group.minPrice,
+    maxPrice: group.maxPrice,
+    medianPrice: percentiles.p50,
+    percentiles,
+  };
 }
 
 // Helper function to calculate stats
-function calculateStats(items) {
-  if (!items || items.length === 0) {
+// 📊 AGGREGATION PIPELINE - MongoDB does the math, only the summary travels
+// Returns the same fields as the original in-memory version over items.json,
+// plus median/percentiles, a min/max/average/median summary per category and
+// low-stock / out-of-stock counts (overall and per category)
+async function calculateStats(filter = {}) {
+  const [[result], overallPrices, categoryPrices] = await Promise.all([
+    Item.aggregate([
+      // $match stays first so a $text search (q with searchMode=text) is valid
+      { $match: filter },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                ...PRICE_SUMMARY_FIELDS,
+                ...INVENTORY_SUMMARY_FIELDS,
+              },
+            },
+          ],
+          // Category breakdown
+          categories: [
+            {
+              $group: {
+                _id: CATEGORY_GROUP,
+                ...PRICE_SUMMARY_FIELDS,
+                ...INVENTORY_SUMMARY_FIELDS,
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+        },
+      },
+    ]),
+    findPercentilePrices(filter, OVERALL_GROUP),
+    findPercentilePrices(filter, CATEGORY_GROUP),
+  ]);
+
+  const totals = result.totals[0];
+  if (!totals) {
     return { total: 0, averagePrice: 0 };
   }
 
-  // More comprehensive stats calculation
-  const total = items.length;
-  const totalPrice = items.reduce((acc, item) => acc + (item.price || 0), 0);
-  const averagePrice = Math.round((totalPrice / total) * 100) / 100; // Round to 2 decimal places
+  const { count: total, ...overall } = summarizePrices(
+    totals,
+    overallPrices.get(null)
+  );
+  return {
+    total,
+    ...overall,
+    categoryBreakdown: Object.fromEntries(
+      result.categories.map(({ _id, count }) => [_id, count])
+    ),
+    categoryStats: Object.fromEntries(
+      result.categories.map((group) => [
+        group._id,
+        {
+          ...summarizePrices(group, categoryPrices.get(group._id)),
+          lowStockCount: group.lowStockCount,
+          outOfStockCount: group.outOfStockCount,
+        },
+      ])
+    ),
+    inventory: summarizeInventory(totals),
+    lastUpdated: new Date().toISOString(),
+  };
+}
 
-  // Additional useful stats
-  const prices = items.map((item) => item.price || 0).sort((a, b) => a - b);
-  const minPrice = prices[0] || 0;
-  const maxPrice = prices[prices.length - 1] || 0;
+// Helper function to calculate the full breakdown for a single category
+// `name` is a category name (any casing) or slug, resolved like the list's
+// category= filter: a parent category includes its subcategories' items
+// Returns null for an unknown category or when no items match the filters
+async function calculateCategoryStats(name, filter = {}) {
+  const [category] = await Category.findByNameOrSlug([name]).lean();
+  if (!category) {
+    return null;
+  }
 
-  // Category breakdown
-  const categoryStats = items.reduce((acc, item) => {
-    const category = item.category || 'Unknown';
-    acc[category] = (acc[category] || 0) + 1;
-    return acc;
-  }, {});
+  const slugs = await Category.expandToSlugs([category.slug]);
+  const categoryFilter = { ...filter, categorySlug: { $in: slugs } };
+  const [[group], prices] = await Promise.all([
+    Item.aggregate([
+      { $match: categoryFilter },
+      {
+        $group: {
+          _id: null,
+          ...PRICE_SUMMARY_FIELDS,
+          ...INVENTORY_SUMMARY_FIELDS,
+        },
+      },
+    ]),
+    findPercentilePrices(categoryFilter, OVERALL_GROUP),
+  ]);
+  if (!group) {
+    return null;
+  }
 
+  const { count: total, ...summary } = summarizePrices(group, prices.get(null));
   return {
+    category: category.name,
+    slug: category.slug,
     total,
-    averagePrice,
-    minPrice,
-    maxPrice,
-    categoryBreakdown: categoryStats,
+    ...summary,
+    inventory: summarizeInventory(group),
     lastUpdated: new Date().toISOString(),
   };
 }
 
+//  PRICE DISTRIBUTION - Histogram + percentiles for charts
+//
+// Bucket Modes:
+// - ?buckets=N (default 10): N equal-width buckets from min to max price,
+//   the last one closed so the most expensive item is counted
+// - ?boundaries=0,100,500: explicit [from, to) buckets like the items price
+//   facet, with an open-ended bucket (max: null) past the last boundary
+const DEFAULT_HISTOGRAM_BUCKETS = 10;
+const MAX_HISTOGRAM_BUCKETS = 50;
+
+function parseHistogramParams(query) {
+  if (query.boundaries !== undefined && query.buckets !== undefined) {
+    const err = new Error('Use either buckets or boundaries, not both');
+    err.status = 400;
+    throw err;
+  }
+  if (query.boundaries !== undefined) {
+    return {
+      boundaries: parsePriceBoundaries(query.boundaries, 'boundaries'),
+    };
+  }
+
+  const buckets =
+    query.buckets === undefined
+      ? DEFAULT_HISTOGRAM_BUCKETS
+      : Number(query.buckets);
+  if (
+    !Number.isInteger(buckets) ||
+    buckets < 1 ||
+    buckets > MAX_HISTOGRAM_BUCKETS
+  ) {
+    const err = new Error(
+      `buckets must be an integer between 1 and ${MAX_HISTOGRAM_BUCKETS}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return { buckets };
+}
+
+// Helper function to derive bucket edges for prices between low and high
+// Returns [{ min, max }] where max is exclusive except on the closing bucket
+function getHistogramEdges({ low, high }, { buckets, boundaries }) {
+  if (boundaries) {
+    return boundaries.map((min, i) => ({
+      min,
+      max: i < boundaries.length - 1 ? boundaries[i + 1] : null,
+    }));
+  }
+
+  // All prices equal - one bucket is the only honest answer
+  if (low === high) {
+    return [{ min: low, max: high, closed: true }];
+  }
+  const width = (high - low) / buckets;
+  // The outer edges stay unrounded: rounding 9.995 up to 10 would leave the
+  // cheapest item below the first bucket (and the priciest above the last)
+  return Array.from({ length: buckets }, (_, i) => ({
+    min: i === 0 ? low : roundPrice(low + width * i),
+    max: i === buckets - 1 ? high : roundPrice(low + width * (i + 1)),
+    closed: i === buckets - 1,
+  }));
+}
+
+function formatBucketLabel({ min, max }) {
+  return max === null
+    ? `$${min.toLocaleString('en-US')}+`
+    : `$${min.toLocaleString('en-US')} – $${max.toLocaleString('en-US')}`;
+}
+
+// Helper function to count prices into the given bucket edges per group
+// MongoDB tags every item with its bucket index, so only counts come back
+// Returns Map(group key -> [count per edge])
+async function countHistogramBuckets(filter, edges, groupKey) {
+  const bucketIndex = {
+    $switch: {
+      branches: edges.map((edge, i) => ({
+        case: {
+          $and: [
+            { $gte: [PRICE_VALUE, edge.min] },
+            edge.max === null
+              ? true
+              : { [edge.closed ? '$lte' : '$lt']: [PRICE_VALUE, edge.max] },
+          ],
+        },
+        then: i,
+      })),
+      // Below the first explicit boundary - not in any bucket
+      default: null,
+    },
+  };
+  const rows = await Item.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: { group: groupKey, bucket: bucketIndex },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const countsByGroup = new Map();
+  for (const { _id, count } of rows) {
+    if (_id.bucket === null) continue;
+    if (!countsByGroup.has(_id.group)) {
+      countsByGroup.set(_id.group, new Array(edges.length).fill(0));
+    }
+    countsByGroup.get(_id.group)[_id.bucket] = count;
+  }
+  return countsByGroup;
+}
+
+// Helper function to label bucket edges with their counts
+function buildHistogram(counts, edges) {
+  return edges.map((edge, i) => ({
+    min: edge.min,
+    max: edge.max,
+    label: formatBucketLabel(edge),
+    count: counts[i],
+  }));
+}
+
+// Helper function to calculate the price distribution for a filter
+// With byCategory every category is bucketed on the overall edges, so the
+// per-category histograms can be drawn on the same axis
+async function calculateDistribution(filter, histogramParams, byCategory) {
+  const groupKey = byCategory ? CATEGORY_GROUP : OVERALL_GROUP;
+  // Counts and the overall price range first - the edges depend on it
+  const groups = await Item.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: groupKey,
+        count: { $sum: 1 },
+        minPrice: { $min: PRICE_VALUE },
+        maxPrice: { $max: PRICE_VALUE },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+  if (groups.length === 0) {
+    return { total: 0, percentiles: null, histogram: [] };
+  }
+
+  const total = groups.reduce((sum, group) => sum + group.count, 0);
+  const edges = getHistogramEdges(
+    {
+      low: Math.min(...groups.map((group) => group.minPrice)),
+      high: Math.max(...groups.map((group) => group.maxPrice)),
+    },
+    histogramParams
+  );
+  const [overallPrices, categoryPrices, bucketCounts] = await Promise.all([
+    findPercentilePrices(filter, OVERALL_GROUP),
+    byCategory ? findPercentilePrices(filter, CATEGORY_GROUP) : null,
+    countHistogramBuckets(filter, edges, groupKey),
+  ]);
+
+  const emptyCounts = () => new Array(edges.length).fill(0);
+  // Overall counts are the per-group counts added up
+  const overallCounts = emptyCounts();
+  for (const counts of bucketCounts.values()) {
+    counts.forEach((count, i) => {
+      overallCounts[i] += count;
+    });
+  }
+
+  return {
+    total,
+    percentiles: describePercentiles(overallPrices.get(null), total),
+    histogram: buildHistogram(overallCounts, edges),
+    ...(byCategory && {
+      categories: Object.fromEntries(
+        groups.map((group) => [
+          group._id,
+          {
+            total: group.count,
+            percentiles: describePercentiles(
+              categoryPrices.get(group._id),
+              group.count
+            ),
+            histogram: buildHistogram(
+              bucketCounts.get(group._id) || emptyCounts(),
+              edges
+            ),
+          },
+        ])
+      ),
+    }),
+    lastUpdated: new Date().toISOString(),
+  };
+}
+
+//  TIME SERIES - Catalog growth from the createdAt timestamps
+//
+// Why Gap Filling Matters:
+// - $group only returns buckets that contain items
+// - Charts need every day/week/month on the axis, so empty buckets are
+//   filled with a zero count (and a null average) before responding
+// - Buckets are computed in UTC; weeks start on Monday (ISO 8601)
+const TIMESERIES_INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_TIMESERIES_SPAN = { day: 30, week: 12, month: 12 }; // buckets
+const MAX_TIMESERIES_BUCKETS = 1000;
+
+// Helper function to truncate a date to the start of its UTC bucket
+function startOfBucket(date, interval) {
+  const d = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  if (interval === 'week') {
+    // getUTCDay(): Sunday = 0, so Monday-based offset is (day + 6) % 7
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    d.setUTCDate(1);
+  }
+  return d;
+}
+
+// Helper function to move a bucket start forward (or back) by n intervals
+function addIntervals(date, interval, n) {
+  const d = new Date(date);
+  if (interval === 'day') d.setUTCDate(d.getUTCDate() + n);
+  if (interval === 'week') d.setUTCDate(d.getUTCDate() + 7 * n);
+  if (interval === 'month') d.setUTCMonth(d.getUTCMonth() + n);
+  return d;
+}
+
+// Helper function to validate ?interval=&from=&to= into a bucket range
+// Defaults: interval=day, to=now, from=30 days / 12 weeks / 12 months back
+function parseTimeseriesParams({ interval = 'day', from, to }) {
+  if (!TIMESERIES_INTERVALS.includes(interval)) {
+    const err = new Error(
+      `Invalid interval. Allowed: ${TIMESERIES_INTERVALS.join(', ')}`
+    );
+    err.status = 400;
+    throw err;
+  }
+
+  const toDate = to === undefined ? new Date() : parseDateParam(to, 'to');
+  const fromDate =
+    from === undefined
+      ? addIntervals(
+          startOfBucket(toDate, interval),
+          interval,
+          -(DEFAULT_TIMESERIES_SPAN[interval] - 1)
+        )
+      : parseDateParam(from, 'from');
+  if (fromDate > toDate) {
+    const err = new Error('from must not be after to');
+    err.status = 400;
+    throw err;
+  }
+
+  // Every bucket start from the bucket containing `from` up to `to`
+  const bucketStarts = [];
+  for (
+    let bucket = startOfBucket(fromDate, interval);
+    bucket <= toDate;
+    bucket = addIntervals(bucket, interval, 1)
+  ) {
+    if (bucketStarts.length === MAX_TIMESERIES_BUCKETS) {
+      const err = new Error(
+        `Range too large: at most ${MAX_TIMESERIES_BUCKETS} ${interval} buckets`
+      );
+      err.status = 400;
+      throw err;
+    }
+    bucketStarts.push(bucket);
+  }
+
+  return { interval, from: fromDate, to: toDate, bucketStarts };
+}
+
+// Helper function to count item creations and average price per bucket
+async function calculateTimeseries(
+  filter,
+  { interval, from, to, bucketStarts }
+) {
+  const groups = await Item.aggregate([
+    { $match: { ...filter, createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: '$createdAt',
+            unit: interval,
+            timezone: 'UTC',
+            startOfWeek: 'monday',
+          },
+        },
+        count: { $sum: 1 },
+        averagePrice: { $avg: '$price' },
+      },
+    },
+  ]);
+
+  const byBucket = new Map(groups.map((group) => [group._id.getTime(), group]));
+  const buckets = bucketStarts.map((start) => {
+    const group = byBucket.get(start.getTime());
+    return {
+      date: start.toISOString(),
+      count: group ? group.count : 0,
+      averagePrice: group ? roundPrice(group.averagePrice) : null,
+    };
+  });
+
+  return {
+    interval,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    total: buckets.reduce((sum, bucket) => sum + bucket.count, 0),
+    buckets,
+  };
+}
+
 // GET /api/stats - Cached version for optimal performance
+// Accepts the items list filters, e.g. /api/stats?category=Furniture&maxPrice=500
 router.get('/', async (req, res, next) => {
   try {
-    const now = Date.now();
-    const fileModTime = await getFileModifiedTime();
-
-    // Check if we need to refresh cache
-    const shouldRefreshCache =
-      !statsCache.data || // No cached data
-      !statsCache.expiry ||
-      now > statsCache.expiry || // Cache expired
-      (fileModTime && statsCache.lastModified !== fileModTime); // File modified
-
-    if (shouldRefreshCache) {
-      console.log('Refreshing stats cache...');
-
-      // Read data asynchronously
-      const raw = await fs.readFile(DATA_PATH, 'utf8');
-      const items = JSON.parse(raw);
-
-      // Calculate stats (this is the expensive operation we're caching)
-      const stats = calculateStats(items);
-
-      // Update cache
-      statsCache = {
-        data: stats,
-        lastModified: fileModTime,
-        expiry: now + CACHE_DURATION,
-      };
-
-      console.log(
-        `Stats cache updated. Next refresh: ${new Date(
-          statsCache.expiry
-        ).toISOString()}`
-      );
-    } else {
-      console.log('Serving stats from cache');
-    }
+    const filter = await parseStatsFilter(req.query);
+    const stats = await getCachedStats(getCacheKey(req), () =>
+      calculateStats(filter)
+    );
 
     // Return cached data
-    res.json(statsCache.data);
+    res.json(stats);
   } catch (error) {
     console.error('Error in stats endpoint:', error);
     next(error);
   }
 });
 
+// GET /api/stats/distribution - Price histogram + p25/p50/p75/p90/p99
+// Accepts the items list filters plus ?buckets=, ?boundaries= and
+// ?byCategory=true for a per-category breakdown on the same buckets
+router.get('/distribution', async (req, res, next) => {
+  try {
+    const { buckets, boundaries, byCategory, ...query } = req.query;
+    const filter = await parseStatsFilter(query);
+    const histogramParams = parseHistogramParams({ buckets, boundaries });
+    const stats = await getCachedStats(getCacheKey(req), () =>
+      calculateDistribution(filter, histogramParams, byCategory === 'true')
+    );
+
+    res.json(stats);
+  } catch (error) {
+    console.error('Error in stats distribution endpoint:', error);
+    next(error);
+  }
+});
+
+// GET /api/stats/timeseries - Items created and average price per bucket
+// e.g. /api/stats/timeseries?interval=week&from=2025-01-01&category=Furniture
+// Accepts the items list filters (category, q, price range) as well
+router.get('/timeseries', async (req, res, next) => {
+  try {
+    const { interval, from, to, ...query } = req.query;
+    const filter = await parseStatsFilter(query);
+    const range = parseTimeseriesParams({ interval, from, to });
+
+    // Without an explicit ?to= the range ends "now", which would make every
+    // request a new cache key - so those responses skip the cache
+    const stats =
+      to === undefined
+        ? await calculateTimeseries(filter, range)
+        : await getCachedStats(getCacheKey(req), () =>
+            calculateTimeseries(filter, range)
+          );
+
+    res.json(stats);
+  } catch (error) {
+    console.error('Error in stats timeseries endpoint:', error);
+    next(error);
+  }
+});
+
+// GET /api/stats/categories/:name - Full price breakdown for one category
+// :name is the category's name or slug; subcategories are included
+// The other list filters (q, price range) still apply; ?category= is ignored
+router.get('/categories/:name', async (req, res, next) => {
+  try {
+    const { category, ...query } = req.query;
+    const filter = await parseStatsFilter(query);
+    const stats = await getCachedStats(getCacheKey(req), () =>
+      calculateCategoryStats(req.params.name, filter)
+    );
+
+    if (!stats) {
+      const err = new Error('Category not found');
+      err.status = 404;
+      throw err;
+    }
+    res.json(stats);
+  } catch (error) {
+    console.error('Error in category stats endpoint:', error);
+    next(error);
+  }
+});
+
 // Optional: Endpoint to manually clear cache (useful for development)
 router.delete('/cache', (req, res) => {
-  statsCache = {
-    data: null,
-    lastModified: null,
-    expiry: null,
-  };
+  invalidateStatsCache();
   console.log('Stats cache cleared manually');
   res.json({ message: 'Cache cleared successfully' });
 });
 
 module.exports = router;
+module.exports.invalidateStatsCache = invalidateStatsCache;
+module.exports.invalidateStatsOnWrite = invalidateStatsOnWrite;
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const fs = require('fs').promises;
 const path = require('path');
 const Item = require('../models/Item');
+const migrateCategories = require('./migrateCategories');
 
 // Load environment variables
 require('dotenv').config();
@@ -23,7 +24,10 @@ const seedDatabase = async () => {
     console.log('✅ Connected to MongoDB');
 
     // Check if items already exist
-    const existingCount = await Item.countDocuments();
+    // Trashed items count too - their ids would clash with the seed data
+    const existingCount = await Item.countDocuments().setOptions({
+      withDeleted: true,
+    });
     if (existingCount > 0) {
       console.log(`⚠️  Database already contains ${existingCount} items`);
       const readline = require('readline').createInterface({
@@ -45,7 +49,7 @@ const seedDatabase = async () => {
       }
 
       // Clear existing data
-      await Item.deleteMany({});
+      await Item.deleteMany({}).setOptions({ withDeleted: true });
       console.log('🗑️  Cleared existing items');
     }
 
@@ -60,6 +64,14 @@ const seedDatabase = async () => {
     const result = await Item.insertMany(items);
     console.log(`✅ Successfully inserted ${result.length} items`);
 
+    // Keep the id counter in sync so POST /api/items continues after the seed
+    const maxId = await Item.syncIdCounter({ reset: true });
+    console.log(`🔢 Item id counter set to ${maxId}`);
+
+    // The seed data has plain category strings - map them onto the taxonomy
+    const { categories, created } = await migrateCategories();
+    console.log(`🗂️  ${categories} categories mapped (${created} created)`);
+
     // Verify the data
     const totalItems = await Item.countDocuments();
     console.log(`🔍 Total items in database: ${totalItems}`);
@@ -0,0 +1,44 @@
+const path = require('path');
+const createLocalDiskStorage = require('./localDiskStorage');
+
+//  FILE STORAGE - Pluggable backend for uploaded files (item images)
+//
+// Every backend implements the same four methods, all keyed by a relative
+// path such as "items/12/ab34cd.jpg":
+// - save(key, buffer): Promise
+// - stat(key): Promise<{ size, modifiedAt } | null>
+// - createReadStream(key): Readable
+// - remove(key): Promise (a missing file is fine)
+//
+// Why an Interface:
+// - Routes never touch the filesystem, so moving images to S3 or similar
+//   is a new backend here plus STORAGE_DRIVER, not a route rewrite
+// - Files are always served through the API, which keeps URLs and cache
+//   headers identical whatever the backend
+const STORAGE_DRIVERS = {
+  local: () =>
+    createLocalDiskStorage({
+      root:
+        process.env.STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads'),
+    }),
+};
+
+let storage = null;
+
+// Helper function to get the configured storage backend (created once)
+function getStorage() {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!STORAGE_DRIVERS[driver]) {
+      throw new Error(
+        `Unknown STORAGE_DRIVER "${driver}". Allowed: ${Object.keys(
+          STORAGE_DRIVERS
+        ).join(', ')}`
+      );
+    }
+    storage = STORAGE_DRIVERS[driver]();
+  }
+  return storage;
+}
+
+module.exports = { getStorage };
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+// 💽 LOCAL DISK STORAGE - Files under one root directory
+//
+// Keys are relative paths like "items/12/ab34cd.jpg"; anything that would
+// resolve outside the root is rejected so a key can never escape it.
+function createLocalDiskStorage({ root }) {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Write then rename, so readers never see a half-written file
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, filePath);
+    },
+
+    // Resolves to null when the file doesn't exist
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return { size: stats.size, modifiedAt: stats.mtime };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    // Removing a missing file is not an error
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+module.exports = createLocalDiskStorage;
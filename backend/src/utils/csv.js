@@ -0,0 +1,103 @@
+//  MINIMAL CSV SUPPORT (RFC 4180) - Import and export of items
+//
+// Why Not a Library:
+// - Items have four flat columns; quoting rules are all we need
+// - Handles quoted fields, "" escapes, commas/newlines inside quotes, CRLF
+// - Each record keeps the line it started on for line-by-line reports
+
+// Helper function to parse CSV text into records
+// Returns [{ line, fields: [...] }], skipping blank lines
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    // A line with nothing on it is not a record
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  // Strip a UTF-8 BOM left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat CRLF as a single line break
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    const err = new Error(
+      `Unterminated quoted field starting on line ${recordLine}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Helper function to quote a single value for CSV output
+// Text that would start a formula (e.g. a name like "=HYPERLINK(...)") gets a
+// leading ' so Excel/Sheets show it as text; numbers are left as they are
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper function to undo the formula guard of formatCsvValue on import
+// Only a ' in front of a formula character is removed; other quotes are data
+function unguardCsvValue(text) {
+  return typeof text === 'string' &&
+    /^'/.test(text) &&
+    FORMULA_PREFIX.test(text.slice(1))
+    ? text.slice(1)
+    : text;
+}
+
+// Helper function to format one CSV row (with trailing CRLF, per RFC 4180)
+function formatCsvRow(values) {
+  return `${values.map(formatCsvValue).join(',')}\r\n`;
+}
+
+module.exports = { parseCsv, formatCsvRow, unguardCsvValue };
@@ -0,0 +1,57 @@
+const sharp = require('sharp');
+
+//  IMAGE PROCESSING - Validates uploads and renders thumbnails
+//
+// Why Check the Bytes, Not the Upload's Content-Type:
+// - The client-sent type is just a claim; sharp decoding the header is proof
+// - Originals are stored untouched; only the thumbnail is re-encoded
+// - Thumbnails are square WebP crops rendered once at upload time, so list
+//   rows never pull full-size images
+const IMAGE_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' },
+  gif: { contentType: 'image/gif', extension: 'gif' },
+};
+const THUMBNAIL_SIZE = 160;
+const THUMBNAIL_CONTENT_TYPE = 'image/webp';
+// Refuse decompression bombs (a tiny file that decodes to a huge bitmap)
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+// Helper function to inspect an upload and render its thumbnail
+// Returns { contentType, extension, width, height, thumbnail }; anything
+// that isn't a readable JPEG, PNG, WebP or GIF is a 400
+async function processImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, {
+      limitInputPixels: MAX_INPUT_PIXELS,
+    }).metadata();
+  } catch (e) {
+    metadata = null;
+  }
+  const format = metadata && IMAGE_FORMATS[metadata.format];
+  if (!format) {
+    const err = new Error('File must be a JPEG, PNG, WebP or GIF image');
+    err.status = 400;
+    throw err;
+  }
+
+  // rotate() applies the EXIF orientation before cropping
+  const thumbnail = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  // Orientations 5-8 are rotated by 90°, so the displayed sides swap
+  const isRotated = metadata.orientation >= 5;
+  return {
+    ...format,
+    width: isRotated ? metadata.height : metadata.width,
+    height: isRotated ? metadata.width : metadata.height,
+    thumbnail,
+  };
+}
+
+module.exports = { processImage, THUMBNAIL_CONTENT_TYPE };
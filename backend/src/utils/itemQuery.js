@@ -0,0 +1,319 @@
+//  SHARED ITEM QUERY PARSING - One definition of the list filters
+//
+// Why a Shared Module:
+// - /api/items, /api/stats (and anything else scoped "like the list") must
+//   agree on what ?category=, ?q= and the price range mean
+// - Validation errors are thrown with err.status = 400, exactly like the
+//   inline checks in the routes, so callers just pass them to next()
+
+const {
+  ATTRIBUTE_KEY_PATTERN,
+  normalizeSearchText,
+} = require('../models/Item');
+const Category = require('../models/Category');
+
+// Helper function to normalise repeatable query params
+// Accepts both ?category=a&category=b and ?category=a,b
+function toValueList(value, paramName) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.some((v) => typeof v !== 'string')) {
+    const err = new Error(`Invalid ${paramName} parameter`);
+    err.status = 400;
+    throw err;
+  }
+  return values
+    .flatMap((v) => v.split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// Units not held by reservations - missing fields (items stored before
+// inventory existed) count as 0
+const AVAILABLE_STOCK = {
+  $subtract: [{ $ifNull: ['$stock', 0] }, { $ifNull: ['$reserved', 0] }],
+};
+
+// Helper function to parse a non-negative price query param
+function parsePriceParam(value, paramName) {
+  const price = typeof value === 'string' && value.trim() ? Number(value) : NaN;
+  if (!Number.isFinite(price) || price < 0) {
+    const err = new Error(`${paramName} must be a non-negative number`);
+    err.status = 400;
+    throw err;
+  }
+  return price;
+}
+
+// Helper function to parse an ISO 8601 date query param
+function parseDateParam(value, paramName) {
+  const date = typeof value === 'string' ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) {
+    const err = new Error(`${paramName} must be an ISO 8601 date`);
+    err.status = 400;
+    throw err;
+  }
+  return date;
+}
+
+// Helper function to parse ?page=&limit= for the page-numbered lists
+// (trash, history, reviews, audit log) into { pageNum, limitNum }
+function parsePageParams({ page = 1, limit }, { defaultLimit, maxLimit }) {
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit === undefined ? defaultLimit : limit, 10);
+  if (!(pageNum >= 1) || !(limitNum >= 1) || limitNum > maxLimit) {
+    const err = new Error(
+      `page must be >= 1 and limit between 1 and ${maxLimit}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return { pageNum, limitNum };
+}
+
+// Upper bound on price bucket boundaries accepted from a query param
+const MAX_PRICE_BOUNDARIES = 20;
+
+// Helper function to parse "0,100,500" into ascending price bucket boundaries
+// Used by the items price facet and the stats histogram
+function parsePriceBoundaries(value, paramName) {
+  const boundaries = toValueList(value, paramName).map((boundary) =>
+    parsePriceParam(boundary, paramName)
+  );
+  if (boundaries.length < 2 || boundaries.length > MAX_PRICE_BOUNDARIES) {
+    const err = new Error(
+      `${paramName} needs between 2 and ${MAX_PRICE_BOUNDARIES} boundaries`
+    );
+    err.status = 400;
+    throw err;
+  }
+  if (
+    boundaries.some((boundary, i) => i > 0 && boundary <= boundaries[i - 1])
+  ) {
+    const err = new Error(`${paramName} must be strictly increasing`);
+    err.status = 400;
+    throw err;
+  }
+  return boundaries;
+}
+
+// Helper function to escape user input for literal use inside a RegExp
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper function to match a term at the start of any word, case-insensitively
+function buildPrefixRegex(term) {
+  return new RegExp(`\\b${escapeRegex(term)}`, 'i');
+}
+
+// Helper function to match a term against the nameSearchKeys/categorySearchKeys
+// of an item: same matches as buildPrefixRegex, but anchored and
+// case-sensitive on lowercased keys, so MongoDB can answer it from the index
+function buildSearchKeyRegex(term) {
+  return new RegExp(`^${escapeRegex(normalizeSearchText(term))}`);
+}
+
+// Search strategies for ?q= - "prefix" is the default the frontend relies on
+const SEARCH_MODES = ['prefix', 'text'];
+
+function parseSearchMode(value = 'prefix') {
+  if (!SEARCH_MODES.includes(value)) {
+    const err = new Error(
+      `Invalid searchMode. Allowed: ${SEARCH_MODES.join(', ')}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return value;
+}
+
+// Helper function to turn attr.<key>=value params into attribute conditions
+// - attr.brand=Acme,Globex matches either brand (like category=)
+// - Query strings are untyped, so attr.size=42 matches 42 and "42", and
+//   attr.waterproof=true matches true and "true"
+// - Keys follow the same pattern the Item schema enforces, which also keeps
+//   operators and dotted paths out of the query
+const ATTRIBUTE_PARAM_PREFIX = 'attr.';
+
+function toAttributeCandidates(value) {
+  const candidates = [value];
+  if (value.trim() !== '' && Number.isFinite(Number(value))) {
+    candidates.push(Number(value));
+  }
+  if (value === 'true' || value === 'false') {
+    candidates.push(value === 'true');
+  }
+  return candidates;
+}
+
+function buildAttributeFilter(query) {
+  const filter = {};
+  for (const [param, value] of Object.entries(query)) {
+    if (!param.startsWith(ATTRIBUTE_PARAM_PREFIX)) continue;
+    const key = param.slice(ATTRIBUTE_PARAM_PREFIX.length);
+    if (!ATTRIBUTE_KEY_PATTERN.test(key)) {
+      const err = new Error(`Invalid attribute filter "${param}"`);
+      err.status = 400;
+      throw err;
+    }
+    const values = toValueList(value, param);
+    if (values.length === 0) {
+      const err = new Error(`${param} must not be empty`);
+      err.status = 400;
+      throw err;
+    }
+    filter[`attributes.${key}`] = {
+      $in: values.flatMap(toAttributeCandidates),
+    };
+  }
+  return filter;
+}
+
+// Helper function to build the MongoDB filter for the items list
+//
+// Supported query params (all combined with AND semantics):
+// - q:        search on name or category, either as a case-insensitive word
+//             prefix or (searchMode=text) against the text index
+// - category: one or more category names or slugs (repeatable or
+//             comma-separated), each including its subcategories
+// - name:     exact item name
+// - minPrice / maxPrice: inclusive price range, on the item or any variant
+// - priceBelow: exclusive upper bound, so a [min, max) price facet bucket
+//   selects exactly the items it counted
+// - inStock:  true / false - units left after reservations, or any variant
+//             with stock
+// - tag:      one or more tags, all required (repeatable or comma-separated)
+// - attr.<key>: attribute value(s), e.g. attr.brand=Acme
+async function buildItemFilter(query, searchMode = 'prefix') {
+  const { q, category, name, minPrice, maxPrice, priceBelow, inStock, tag } =
+    query;
+  const filter = {};
+
+  if (q !== undefined) {
+    if (typeof q !== 'string') {
+      const err = new Error('Invalid q parameter');
+      err.status = 400;
+      throw err;
+    }
+    const searchTerm = q.trim();
+    if (searchTerm && searchMode === 'text') {
+      // 🔍 TEXT INDEX SEARCH - uses the weighted name/category text index
+      // MongoDB parses "exact phrases" and -negated terms in $search itself
+      filter.$text = { $search: searchTerm };
+    } else if (searchTerm) {
+      // 🔍 PREFIX SEARCH - matches the start of any word in name or category
+      // Input is escaped so characters like "(" or "*" are matched literally
+      const prefix = buildPrefixRegex(searchTerm);
+      filter.$or = [{ name: prefix }, { category: prefix }];
+    }
+  }
+
+  if (category !== undefined) {
+    const categories = toValueList(category, 'category');
+    if (categories.length === 0) {
+      const err = new Error('category must not be empty');
+      err.status = 400;
+      throw err;
+    }
+    // 🗂️ TAXONOMY - a parent category also matches every descendant.
+    // Unknown categories simply match nothing, like any other filter value
+    const slugs = await Category.expandToSlugs(categories);
+    filter.categorySlug = slugs.length === 1 ? slugs[0] : { $in: slugs };
+  }
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      const err = new Error('name must be a non-empty string');
+      err.status = 400;
+      throw err;
+    }
+    filter.name = name.trim();
+  }
+
+  if (
+    minPrice !== undefined ||
+    maxPrice !== undefined ||
+    priceBelow !== undefined
+  ) {
+    const min =
+      minPrice !== undefined ? parsePriceParam(minPrice, 'minPrice') : null;
+    const max =
+      maxPrice !== undefined ? parsePriceParam(maxPrice, 'maxPrice') : null;
+    const below =
+      priceBelow !== undefined
+        ? parsePriceParam(priceBelow, 'priceBelow')
+        : null;
+    if (min !== null && max !== null && min > max) {
+      const err = new Error('minPrice must not be greater than maxPrice');
+      err.status = 400;
+      throw err;
+    }
+    if (min !== null && below !== null && min >= below) {
+      const err = new Error('minPrice must be less than priceBelow');
+      err.status = 400;
+      throw err;
+    }
+    const range = {};
+    if (min !== null) range.$gte = min;
+    if (max !== null) range.$lte = max;
+    if (below !== null) range.$lt = below;
+    // 🎛️ VARIANTS - the item's own price or any variant's price in range.
+    // Kept in $and because q's prefix search already owns the top-level $or
+    filter.$and = [
+      {
+        $or: [{ price: range }, { variants: { $elemMatch: { price: range } } }],
+      },
+    ];
+  }
+
+  // 🏷️ TAGS - tag=sale,new (or repeated) keeps items carrying every tag
+  if (tag !== undefined) {
+    const tags = toValueList(tag, 'tag').map((t) => t.toLowerCase());
+    if (tags.length === 0) {
+      const err = new Error('tag must not be empty');
+      err.status = 400;
+      throw err;
+    }
+    filter.tags = tags.length === 1 ? tags[0] : { $all: tags };
+  }
+
+  Object.assign(filter, buildAttributeFilter(query));
+
+  // 📦 AVAILABILITY - inStock=true keeps items with unreserved units left or
+  // any variant in stock, inStock=false only the ones sold out everywhere
+  if (inStock !== undefined) {
+    if (inStock !== 'true' && inStock !== 'false') {
+      const err = new Error('inStock must be true or false');
+      err.status = 400;
+      throw err;
+    }
+    // No unreserved units on the item and no variant with stock. inStock=true
+    // is its $nor, leaving $and to the price range and $or to q
+    const soldOut = {
+      $expr: { $lte: [AVAILABLE_STOCK, 0] },
+      variants: { $not: { $elemMatch: { stock: { $gt: 0 } } } },
+    };
+    if (inStock === 'true') {
+      filter.$nor = [soldOut];
+    } else {
+      Object.assign(filter, soldOut);
+    }
+  }
+
+  return filter;
+}
+
+module.exports = {
+  toValueList,
+  parsePriceParam,
+  parseDateParam,
+  parsePageParams,
+  parsePriceBoundaries,
+  escapeRegex,
+  buildPrefixRegex,
+  buildSearchKeyRegex,
+  SEARCH_MODES,
+  parseSearchMode,
+  buildItemFilter,
+  AVAILABLE_STOCK,
+};
@@ -0,0 +1,110 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+describe('item history and audit log', () => {
+  it('records each write with only the fields that changed', async () => {
+    const { id } = await createItem({ price: 120 });
+
+    await request(app)
+      .patch(`/api/items/${id}`)
+      .set('X-Request-Id', 'req-42')
+      .send({ price: 99 })
+      .expect(200);
+
+    const res = await request(app).get(`/api/items/${id}/history`).expect(200);
+    const [update, create] = res.body.history;
+    expect(update).toMatchObject({
+      itemId: id,
+      action: 'update',
+      actor: 'anonymous',
+      requestId: 'req-42',
+      changes: { price: { before: 120, after: 99 } },
+    });
+    expect(Object.keys(update.changes)).toEqual(['price']);
+    expect(create.action).toBe('create');
+  });
+
+  it('skips updates that change nothing', async () => {
+    const { id } = await createItem({ price: 120 });
+
+    await request(app)
+      .patch(`/api/items/${id}`)
+      .send({ price: 120 })
+      .expect(200);
+
+    const res = await request(app).get(`/api/items/${id}/history`).expect(200);
+    expect(res.body.history.map((entry) => entry.action)).toEqual(['create']);
+  });
+
+  it('keeps the history of a purged item', async () => {
+    const { id } = await createItem();
+    await request(app).delete(`/api/items/${id}`).expect(204);
+    await request(app).delete(`/api/items/trash/${id}`).expect(204);
+
+    const res = await request(app).get(`/api/items/${id}/history`).expect(200);
+
+    expect(res.body.history.map((entry) => entry.action)).toEqual([
+      'purge',
+      'delete',
+      'create',
+    ]);
+  });
+
+  it('answers 404 for the history of an item that never existed', async () => {
+    await request(app).get('/api/items/404/history').expect(404);
+  });
+
+  it('filters the audit log by action and item', async () => {
+    const keyboard = await createItem();
+    const mouse = await createItem({ name: 'Mouse' });
+    await request(app).delete(`/api/items/${keyboard.id}`).expect(204);
+    await request(app).delete(`/api/items/${mouse.id}`).expect(204);
+
+    const res = await request(app)
+      .get('/api/audit')
+      .query({ action: 'delete', itemId: String(mouse.id) })
+      .expect(200);
+
+    expect(res.body.entries).toEqual([
+      expect.objectContaining({ itemId: mouse.id, action: 'delete' }),
+    ]);
+    expect(res.body.pagination.total).toBe(1);
+  });
+
+  it('filters the audit log by an inclusive date range', async () => {
+    await createItem();
+    const now = new Date();
+
+    const res = await request(app)
+      .get('/api/audit')
+      .query({ to: new Date(now.getTime() - 60 * 60 * 1000).toISOString() })
+      .expect(200);
+    const today = await request(app)
+      .get('/api/audit')
+      .query({ from: new Date(now.getTime() - 60 * 1000).toISOString() })
+      .expect(200);
+
+    expect(res.body.entries).toEqual([]);
+    expect(today.body.entries).toHaveLength(1);
+  });
+
+  it.each([
+    [{ action: 'rename' }],
+    [{ from: 'yesterday' }],
+    [{ from: '2024-02-01', to: '2024-01-01' }],
+    [{ itemId: '0' }],
+    [{ limit: '101' }],
+  ])('rejects %p with 400', async (query) => {
+    await request(app).get('/api/audit').query(query).expect(400);
+  });
+});
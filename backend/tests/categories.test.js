@@ -0,0 +1,138 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+// Helper function to create a category, optionally under a parent slug
+async function createCategory(name, parent) {
+  const res = await request(app)
+    .post('/api/categories')
+    .send({ name, ...(parent && { parent }) })
+    .expect(201);
+  return res.body;
+}
+
+describe('category taxonomy', () => {
+  it('derives the slug from the name and keeps every ancestor', async () => {
+    await createCategory('Home & Office');
+    await createCategory('Desks', 'home-office');
+    const standing = await createCategory('Standing Desks', 'desks');
+
+    expect(standing).toMatchObject({
+      slug: 'standing-desks',
+      parent: 'desks',
+      ancestors: ['home-office', 'desks'],
+    });
+    const res = await request(app)
+      .get('/api/categories/standing-desks')
+      .expect(200);
+    expect(res.body.breadcrumbs).toEqual([
+      { slug: 'home-office', name: 'Home & Office' },
+      { slug: 'desks', name: 'Desks' },
+    ]);
+  });
+
+  it('nests the list with ?tree=true', async () => {
+    await createCategory('Electronics');
+    await createCategory('Laptops', 'electronics');
+
+    const res = await request(app)
+      .get('/api/categories')
+      .query({ tree: 'true' })
+      .expect(200);
+
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0].children.map((child) => child.slug)).toEqual([
+      'laptops',
+    ]);
+  });
+
+  it('rejects names that differ only in case', async () => {
+    await createCategory('Electronics');
+
+    await request(app)
+      .post('/api/categories')
+      .send({ name: 'electronics', slug: 'other' })
+      .expect(409);
+  });
+
+  it('rejects items in categories that do not exist', async () => {
+    await request(app)
+      .post('/api/items')
+      .send({ name: 'Keyboard', category: 'Nowhere', price: 10 })
+      .expect(400);
+  });
+
+  it('lists the items of a category and its subcategories', async () => {
+    await createCategory('Electronics');
+    await createCategory('Laptops', 'electronics');
+    await createItem({ name: 'Mouse', category: 'Electronics' });
+    await createItem({ name: 'Notebook', category: 'Laptops' });
+    await createItem({ name: 'Desk', category: 'Furniture' });
+
+    const res = await request(app)
+      .get('/api/items')
+      .query({ category: 'electronics' })
+      .expect(200);
+
+    expect(res.body.items.map((item) => item.name).sort()).toEqual([
+      'Mouse',
+      'Notebook',
+    ]);
+  });
+
+  it('renames the category on its items', async () => {
+    const item = await createItem({ category: 'Electronics' });
+
+    await request(app)
+      .patch('/api/categories/electronics')
+      .send({ name: 'Gadgets' })
+      .expect(200);
+
+    const res = await request(app).get(`/api/items/${item.id}`).expect(200);
+    expect(res.body.category).toBe('Gadgets');
+  });
+
+  it('moves a whole subtree and refuses to move it under itself', async () => {
+    await createCategory('Electronics');
+    await createCategory('Computers', 'electronics');
+    await createCategory('Laptops', 'computers');
+    await createCategory('Office');
+
+    await request(app)
+      .patch('/api/categories/computers')
+      .send({ parent: 'laptops' })
+      .expect(400);
+    await request(app)
+      .patch('/api/categories/computers')
+      .send({ parent: 'office' })
+      .expect(200);
+
+    const res = await request(app).get('/api/categories/laptops').expect(200);
+    expect(res.body.ancestors).toEqual(['office', 'computers']);
+  });
+
+  it('refuses to delete a category that is still in use', async () => {
+    await createCategory('Electronics');
+    await createCategory('Laptops', 'electronics');
+    await createItem({ category: 'Laptops' });
+
+    await request(app).delete('/api/categories/electronics').expect(409);
+    await request(app).delete('/api/categories/laptops').expect(409);
+  });
+
+  it('deletes an unused category', async () => {
+    await createCategory('Electronics');
+
+    await request(app).delete('/api/categories/electronics').expect(204);
+    await request(app).get('/api/categories/electronics').expect(404);
+  });
+});
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const {
+  MongoMemoryServer,
+  MongoMemoryReplSet,
+} = require('mongodb-memory-server');
+const app = require('../../src/app');
+const { invalidateStatsCache } = require('../../src/routes/stats');
+
+// 🧪 TEST DATABASE - A throwaway in-memory MongoDB per test file
+//
+// Why a Real Server (not mocked models):
+// - The guarantees under test (atomic $inc, conditional updates, query
+//   middleware) live in MongoDB and Mongoose, so mocks would prove nothing
+// - mongodb-memory-server downloads the mongod binary on first use; offline,
+//   MONGOMS_SYSTEM_BINARY=/path/to/mongod uses a local one (MONGODB_SETUP.md)
+let server;
+
+// replSet: true starts a one-member replica set - transactions (atomic bulk
+// mode) need one; everything else runs on a standalone server like compose
+async function connectTestDB({ replSet = false } = {}) {
+  try {
+    server = replSet
+      ? await MongoMemoryReplSet.create({ replSet: { count: 1 } })
+      : await MongoMemoryServer.create();
+  } catch (err) {
+    err.message = `${err.message}\nCould not start mongod for the tests - offline, set MONGOMS_SYSTEM_BINARY to a local mongod 7.x (see MONGODB_SETUP.md)`;
+    throw err;
+  }
+  await mongoose.connect(server.getUri());
+  // Unique indexes (item ids, SKUs) must exist before the tests race them
+  await Promise.all(
+    Object.values(mongoose.models).map((model) => model.init())
+  );
+}
+
+// Empties every collection; the stats cache goes too, since it would
+// otherwise serve figures from the previous test
+async function clearTestDB() {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+  invalidateStatsCache();
+}
+
+async function disconnectTestDB() {
+  await mongoose.disconnect();
+  if (server) {
+    await server.stop();
+  }
+}
+
+// Helper function to create an item through the API (its category too)
+async function createItem(fields = {}) {
+  const item = {
+    name: 'Mechanical Keyboard',
+    category: 'Electronics',
+    price: 120,
+    ...fields,
+  };
+  await request(app).post('/api/categories').send({ name: item.category });
+  const res = await request(app).post('/api/items').send(item).expect(201);
+  return res.body;
+}
+
+module.exports = {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+};
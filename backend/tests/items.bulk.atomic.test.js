@@ -0,0 +1,65 @@
+const request = require('supertest');
+const Item = require('../src/models/Item');
+const AuditLog = require('../src/models/AuditLog');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+// Transactions need a replica set
+beforeAll(() => connectTestDB({ replSet: true }));
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+describe('atomic bulk writes', () => {
+  it('applies every operation in one transaction', async () => {
+    const existing = await createItem();
+
+    const res = await request(app)
+      .post('/api/items/bulk')
+      .send({
+        mode: 'atomic',
+        operations: [
+          {
+            op: 'create',
+            data: { name: 'Mouse', category: 'Electronics', price: 25 },
+          },
+          { op: 'update', id: existing.id, data: { price: 1 } },
+        ],
+      })
+      .expect(200);
+
+    expect(res.body.summary).toEqual({ total: 2, succeeded: 2, failed: 0 });
+    expect(await Item.countDocuments()).toBe(2);
+  });
+
+  it('rolls everything back when one operation fails', async () => {
+    const existing = await createItem({ price: 120 });
+    const auditEntries = await AuditLog.countDocuments();
+
+    const res = await request(app)
+      .post('/api/items/bulk')
+      .send({
+        mode: 'atomic',
+        operations: [
+          {
+            op: 'create',
+            data: { name: 'Mouse', category: 'Electronics', price: 25 },
+          },
+          { op: 'update', id: existing.id, data: { price: 1 } },
+          { op: 'delete', id: 404 },
+        ],
+      })
+      .expect(400);
+
+    expect(res.body.errors).toEqual([
+      expect.objectContaining({ index: 2, op: 'delete', statusCode: 404 }),
+    ]);
+    const items = await Item.find().lean();
+    expect(items.map((item) => item.price)).toEqual([120]);
+    expect(await AuditLog.countDocuments()).toBe(auditEntries);
+  });
+});
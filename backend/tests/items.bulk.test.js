@@ -0,0 +1,122 @@
+const request = require('supertest');
+const Item = require('../src/models/Item');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+describe('bulk writes', () => {
+  beforeEach(async () => {
+    await request(app).post('/api/categories').send({ name: 'Electronics' });
+  });
+
+  it('runs creates, updates and deletes in order in bestEffort mode by default', async () => {
+    const existing = await createItem({ name: 'Old name' });
+    const doomed = await createItem({ name: 'Doomed' });
+
+    const res = await request(app)
+      .post('/api/items/bulk')
+      .send({
+        operations: [
+          {
+            op: 'create',
+            data: { name: 'Mouse', category: 'Electronics', price: 25 },
+          },
+          { op: 'update', id: existing.id, data: { name: 'New name' } },
+          { op: 'delete', id: doomed.id },
+        ],
+      })
+      .expect(200);
+
+    expect(res.body.mode).toBe('bestEffort');
+    expect(res.body.summary).toEqual({ total: 3, succeeded: 3, failed: 0 });
+    const names = (await Item.find().sort({ id: 1 }).lean()).map(
+      (item) => item.name
+    );
+    expect(names).toEqual(['New name', 'Mouse']);
+  });
+
+  it('keeps going past a failed operation and answers 207', async () => {
+    const res = await request(app)
+      .post('/api/items/bulk')
+      .send({
+        operations: [
+          { op: 'delete', id: 404 },
+          {
+            op: 'create',
+            data: { name: 'Mouse', category: 'Electronics', price: 25 },
+          },
+        ],
+      })
+      .expect(207);
+
+    expect(res.body.results.map((result) => result.status)).toEqual([
+      'error',
+      'ok',
+    ]);
+    expect(res.body.results[0].statusCode).toBe(404);
+    expect(await Item.countDocuments()).toBe(1);
+  });
+
+  it('validates every operation before writing any', async () => {
+    const res = await request(app)
+      .post('/api/items/bulk')
+      .send({
+        operations: [
+          {
+            op: 'create',
+            data: { name: 'Mouse', category: 'Electronics', price: 25 },
+          },
+          { op: 'create', data: { name: 'No price', category: 'Electronics' } },
+          { op: 'rename', id: 1 },
+        ],
+      })
+      .expect(400);
+
+    expect(res.body.errors.map((error) => error.index)).toEqual([1, 2]);
+    expect(await Item.countDocuments()).toBe(0);
+  });
+
+  it('accepts bodies past the app-wide 100KB JSON limit', async () => {
+    const operations = Array.from({ length: 600 }, (_, i) => ({
+      op: 'create',
+      data: {
+        name: `Item ${i} ${'x'.repeat(150)}`,
+        category: 'Electronics',
+        price: i,
+      },
+    }));
+
+    const res = await request(app)
+      .post('/api/items/bulk')
+      .send({ operations })
+      .expect(200);
+
+    expect(res.body.summary.succeeded).toBe(600);
+  });
+
+  it('explains that atomic mode needs a replica set on a standalone server', async () => {
+    const res = await request(app)
+      .post('/api/items/bulk')
+      .send({
+        mode: 'atomic',
+        operations: [
+          {
+            op: 'create',
+            data: { name: 'Mouse', category: 'Electronics', price: 25 },
+          },
+        ],
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toBeUndefined();
+    expect(await Item.countDocuments()).toBe(0);
+  });
+});
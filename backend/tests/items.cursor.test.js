@@ -0,0 +1,100 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+// Helper function to fetch one cursor page
+async function getPage(query) {
+  const res = await request(app).get('/api/items').query(query).expect(200);
+  return {
+    names: res.body.items.map((item) => item.name),
+    pagination: res.body.pagination,
+  };
+}
+
+describe('cursor pagination', () => {
+  beforeEach(async () => {
+    for (const [name, price] of [
+      ['A', 30],
+      ['B', 10],
+      ['C', 20],
+      ['D', 10],
+      ['E', 40],
+    ]) {
+      await createItem({ name, price });
+    }
+  });
+
+  it('walks forward and back through the same pages', async () => {
+    const first = await getPage({ cursor: '', sort: 'price', limit: '2' });
+    expect(first.names).toEqual(['B', 'D']);
+    expect(first.pagination).toMatchObject({ hasNext: true, hasPrev: false });
+
+    const second = await getPage({
+      cursor: first.pagination.nextCursor,
+      sort: 'price',
+      limit: '2',
+    });
+    expect(second.names).toEqual(['C', 'A']);
+
+    const third = await getPage({
+      cursor: second.pagination.nextCursor,
+      sort: 'price',
+      limit: '2',
+    });
+    expect(third.names).toEqual(['E']);
+    expect(third.pagination).toMatchObject({
+      hasNext: false,
+      nextCursor: null,
+    });
+
+    const back = await getPage({
+      cursor: third.pagination.prevCursor,
+      sort: 'price',
+      limit: '2',
+    });
+    expect(back.names).toEqual(['C', 'A']);
+    expect(back.pagination.hasPrev).toBe(true);
+  });
+
+  it('neither skips nor repeats items inserted between pages', async () => {
+    const first = await getPage({ cursor: '', sort: 'price', limit: '2' });
+    expect(first.names).toEqual(['B', 'D']);
+
+    // Sorts before the cursor, so an offset would repeat D on the next page
+    await createItem({ name: 'F', price: 5 });
+
+    const second = await getPage({
+      cursor: first.pagination.nextCursor,
+      sort: 'price',
+      limit: '2',
+    });
+    expect(second.names).toEqual(['C', 'A']);
+  });
+
+  it('rejects a cursor issued for another sort', async () => {
+    const first = await getPage({ cursor: '', sort: 'price', limit: '2' });
+
+    await request(app)
+      .get('/api/items')
+      .query({ cursor: first.pagination.nextCursor, sort: '-price' })
+      .expect(400);
+  });
+
+  it.each([
+    [{ cursor: 'not-a-cursor' }],
+    [{ cursor: '', limit: '0' }],
+    [{ cursor: '', limit: '101' }],
+    [{ cursor: '', limit: '2.5' }],
+  ])('rejects %p with 400', async (query) => {
+    await request(app).get('/api/items').query(query).expect(400);
+  });
+});
@@ -0,0 +1,75 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+describe('ETag and If-Match', () => {
+  it('serves the version as ETag and answers If-None-Match with 304', async () => {
+    const { id } = await createItem();
+
+    const res = await request(app).get(`/api/items/${id}`).expect(200);
+    expect(res.headers.etag).toBe('"v0"');
+
+    await request(app)
+      .get(`/api/items/${id}`)
+      .set('If-None-Match', res.headers.etag)
+      .expect(304);
+  });
+
+  it('applies a write with a current If-Match and returns the new ETag', async () => {
+    const { id } = await createItem();
+
+    const res = await request(app)
+      .patch(`/api/items/${id}`)
+      .set('If-Match', '"v0"')
+      .send({ price: 99 })
+      .expect(200);
+
+    expect(res.headers.etag).toBe('"v1"');
+    expect(res.body.price).toBe(99);
+  });
+
+  it('rejects a write with a stale If-Match with 412 and leaves the item alone', async () => {
+    const { id } = await createItem({ price: 120 });
+    await request(app)
+      .patch(`/api/items/${id}`)
+      .send({ price: 99 })
+      .expect(200);
+
+    await request(app)
+      .put(`/api/items/${id}`)
+      .set('If-Match', '"v0"')
+      .send({ name: 'Stale edit', category: 'Electronics', price: 1 })
+      .expect(412);
+    await request(app)
+      .delete(`/api/items/${id}`)
+      .set('If-Match', '"v0"')
+      .expect(412);
+
+    const res = await request(app).get(`/api/items/${id}`).expect(200);
+    expect(res.body).toMatchObject({ name: 'Mechanical Keyboard', price: 99 });
+  });
+
+  it('lets only one of two concurrent writes with the same If-Match through', async () => {
+    const { id } = await createItem();
+
+    const responses = await Promise.all(
+      [10, 20].map((price) =>
+        request(app)
+          .patch(`/api/items/${id}`)
+          .set('If-Match', '"v0"')
+          .send({ price })
+      )
+    );
+
+    expect(responses.map((res) => res.status).sort()).toEqual([200, 412]);
+  });
+});
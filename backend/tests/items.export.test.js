@@ -0,0 +1,89 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+// Helper function to download an export as text, whatever its content type
+function exportItems(query) {
+  return request(app)
+    .get('/api/items/export')
+    .query(query)
+    .buffer(true)
+    .parse((res, callback) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+      });
+      res.on('end', () => callback(null, text));
+    });
+}
+
+describe('item export', () => {
+  it('streams the filtered items as CSV with a header row', async () => {
+    const keyboard = await createItem({ name: 'Keyboard', price: 120 });
+    await createItem({ name: 'Desk', category: 'Furniture', price: 300 });
+
+    const res = await exportItems({ category: 'Electronics' }).expect(200);
+
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/items-.*\.csv/);
+    const [header, row, ...rest] = res.body.trim().split('\r\n');
+    expect(header).toBe('id,name,category,price,createdAt,updatedAt');
+    expect(row).toMatch(
+      new RegExp(`^${keyboard.id},Keyboard,Electronics,120,`)
+    );
+    expect(rest).toEqual([]);
+  });
+
+  it('quotes commas and guards text that spreadsheets would run as a formula', async () => {
+    await createItem({ name: '=HYPERLINK("x"), cheap', price: 5 });
+    await createItem({ name: '-40 degree freezer', price: 900 });
+
+    const res = await exportItems({ format: 'csv' }).expect(200);
+
+    const rows = res.body.trim().split('\r\n').slice(1);
+    expect(rows[0]).toContain(`"'=HYPERLINK(""x""), cheap"`);
+    expect(rows[1]).toContain(`,'-40 degree freezer,`);
+    // Numbers are not text and stay as they are
+    expect(rows[1]).toContain(',900,');
+  });
+
+  it('writes NDJSON and JSON that parse back to the same items', async () => {
+    await createItem({ name: 'Keyboard' });
+    await createItem({ name: 'Mouse', price: 25 });
+
+    const ndjson = await exportItems({ format: 'ndjson' }).expect(200);
+    const json = await exportItems({ format: 'json' }).expect(200);
+
+    const fromNdjson = ndjson.body
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    expect(fromNdjson.map((item) => item.name)).toEqual(['Keyboard', 'Mouse']);
+    expect(JSON.parse(json.body)).toEqual(fromNdjson);
+  });
+
+  it('writes an empty JSON array when nothing matches', async () => {
+    const res = await exportItems({ format: 'json', name: 'Nothing' }).expect(
+      200
+    );
+
+    expect(JSON.parse(res.body)).toEqual([]);
+  });
+
+  it.each(['bogus', 'constructor', 'toString', '__proto__', 'hasOwnProperty'])(
+    'rejects format=%s with 400',
+    async (format) => {
+      await exportItems({ format }).expect(400);
+    }
+  );
+});
@@ -0,0 +1,72 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+describe('item list facets', () => {
+  beforeAll(async () => {
+    await clearTestDB();
+    await createItem({ name: 'Keyboard', category: 'Electronics', price: 120 });
+    await createItem({ name: 'Mouse', category: 'Electronics', price: 25 });
+    await createItem({ name: 'Desk', category: 'Furniture', price: 300 });
+    await createItem({ name: 'Lamp', category: 'Lighting', price: 40 });
+  });
+
+  it('leaves facets out unless they are requested', async () => {
+    const res = await request(app).get('/api/items').expect(200);
+
+    expect(res.body).not.toHaveProperty('facets');
+  });
+
+  it('counts each facet without its own filter but with the others', async () => {
+    const res = await request(app)
+      .get('/api/items')
+      .query({
+        category: 'Electronics',
+        minPrice: '100',
+        facets: 'category,price',
+        priceBuckets: '0,50,200',
+      })
+      .expect(200);
+
+    expect(res.body.items.map((item) => item.name)).toEqual(['Keyboard']);
+    // Every category priced 100 or more
+    expect(res.body.facets.category).toEqual([
+      { value: 'Electronics', count: 1 },
+      { value: 'Furniture', count: 1 },
+    ]);
+    // Every Electronics item, whatever its price
+    expect(res.body.facets.price).toEqual([
+      { min: 0, max: 50, count: 1 },
+      { min: 50, max: 200, count: 1 },
+      { min: 200, max: null, count: 0 },
+    ]);
+  });
+
+  it('returns the facets in cursor mode too', async () => {
+    const res = await request(app)
+      .get('/api/items')
+      .query({ cursor: '', facets: 'category' })
+      .expect(200);
+
+    expect(res.body.facets.category).toEqual([
+      { value: 'Electronics', count: 2 },
+      { value: 'Furniture', count: 1 },
+      { value: 'Lighting', count: 1 },
+    ]);
+  });
+
+  it.each([{ facets: 'rating' }, { facets: 'price', priceBuckets: '50,10' }])(
+    'rejects %p with 400',
+    async (query) => {
+      await request(app).get('/api/items').query(query).expect(400);
+    }
+  );
+});
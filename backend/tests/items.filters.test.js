@@ -0,0 +1,74 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+// Helper function to list the names of the items a query matches
+async function listNames(query) {
+  const res = await request(app).get('/api/items').query(query).expect(200);
+  return res.body.items.map((item) => item.name).sort();
+}
+
+describe('item list filters', () => {
+  beforeAll(async () => {
+    await clearTestDB();
+    await createItem({ name: 'Keyboard', category: 'Electronics', price: 120 });
+    await createItem({ name: 'Mouse', category: 'Electronics', price: 25 });
+    await createItem({ name: 'Desk', category: 'Furniture', price: 300 });
+    await createItem({ name: 'Chair', category: 'Furniture', price: 150 });
+    await createItem({ name: 'Lamp', category: 'Lighting', price: 40 });
+  });
+
+  it('filters by one or more categories, repeated or comma-separated', async () => {
+    expect(await listNames({ category: 'Furniture' })).toEqual([
+      'Chair',
+      'Desk',
+    ]);
+    expect(await listNames({ category: 'Lighting,Furniture' })).toEqual([
+      'Chair',
+      'Desk',
+      'Lamp',
+    ]);
+    expect(await listNames('category=Electronics&category=Lighting')).toEqual([
+      'Keyboard',
+      'Lamp',
+      'Mouse',
+    ]);
+  });
+
+  it('filters by exact name', async () => {
+    expect(await listNames({ name: 'Desk' })).toEqual(['Desk']);
+    expect(await listNames({ name: 'Des' })).toEqual([]);
+  });
+
+  it('treats minPrice and maxPrice as an inclusive range', async () => {
+    expect(await listNames({ minPrice: '40', maxPrice: '150' })).toEqual([
+      'Chair',
+      'Keyboard',
+      'Lamp',
+    ]);
+    expect(await listNames({ minPrice: '200' })).toEqual(['Desk']);
+  });
+
+  it('combines filters with AND', async () => {
+    expect(
+      await listNames({ category: 'Electronics', maxPrice: '100' })
+    ).toEqual(['Mouse']);
+  });
+
+  it('rejects invalid or inverted price ranges with 400', async () => {
+    await request(app).get('/api/items').query({ minPrice: 'abc' }).expect(400);
+    await request(app).get('/api/items').query({ minPrice: '-1' }).expect(400);
+    await request(app)
+      .get('/api/items')
+      .query({ minPrice: '200', maxPrice: '100' })
+      .expect(400);
+  });
+});
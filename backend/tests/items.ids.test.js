@@ -0,0 +1,55 @@
+const request = require('supertest');
+const Item = require('../src/models/Item');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+describe('item id allocation', () => {
+  it('gives concurrent creates distinct ids', async () => {
+    await request(app).post('/api/categories').send({ name: 'Electronics' });
+
+    const responses = await Promise.all(
+      Array.from({ length: 20 }, (_, i) =>
+        request(app)
+          .post('/api/items')
+          .send({ name: `Item ${i}`, category: 'Electronics', price: 10 + i })
+      )
+    );
+
+    expect(responses.map((res) => res.status)).toEqual(Array(20).fill(201));
+    const ids = responses.map((res) => res.body.id);
+    expect(new Set(ids).size).toBe(20);
+  });
+
+  it('starts after the highest existing id, trashed items included', async () => {
+    await Item.collection.insertOne({
+      id: 41,
+      name: 'Legacy item',
+      category: 'Electronics',
+      price: 1,
+      deletedAt: new Date(),
+    });
+
+    const item = await createItem();
+
+    expect(item.id).toBe(42);
+  });
+
+  it('never reuses the id of a purged item', async () => {
+    const first = await createItem();
+    await request(app).delete(`/api/items/${first.id}`).expect(204);
+    await request(app).delete(`/api/items/trash/${first.id}`).expect(204);
+
+    const second = await createItem();
+
+    expect(second.id).toBeGreaterThan(first.id);
+  });
+});
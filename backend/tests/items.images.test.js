@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+let storageDir;
+
+beforeAll(async () => {
+  // Read when the storage backend is first used
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'item-images-'));
+  process.env.STORAGE_DIR = storageDir;
+  await connectTestDB();
+});
+afterEach(clearTestDB);
+afterAll(async () => {
+  await disconnectTestDB();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+// Helper function to render a small PNG
+function createPng(width = 40, height = 20) {
+  return sharp({
+    create: { width, height, channels: 3, background: '#cc3300' },
+  })
+    .png()
+    .toBuffer();
+}
+
+// Helper function to upload an image to an item
+async function uploadImage(itemId, buffer, field = 'image') {
+  return request(app)
+    .post(`/api/items/${itemId}/images`)
+    .attach(field, buffer, 'photo.png');
+}
+
+describe('item images', () => {
+  it('stores an upload and serves the original and a thumbnail', async () => {
+    const { id } = await createItem();
+    const png = await createPng();
+
+    const upload = await uploadImage(id, png);
+
+    expect(upload.status).toBe(201);
+    expect(upload.headers.etag).toBe('"v1"');
+    expect(upload.body).toMatchObject({
+      contentType: 'image/png',
+      extension: 'png',
+      width: 40,
+      height: 20,
+      size: png.length,
+    });
+    const original = await request(app).get(upload.body.url).expect(200);
+    expect(original.headers['content-type']).toBe('image/png');
+    expect(original.headers['cache-control']).toMatch(/immutable/);
+    expect(Buffer.compare(original.body, png)).toBe(0);
+    const thumbnail = await request(app)
+      .get(upload.body.thumbnailUrl)
+      .expect(200);
+    expect(thumbnail.headers['content-type']).toBe('image/webp');
+    expect((await sharp(thumbnail.body).metadata()).width).toBe(160);
+  });
+
+  it('answers a revalidation of an image with 304', async () => {
+    const { id } = await createItem();
+    const upload = await uploadImage(id, await createPng());
+    const first = await request(app).get(upload.body.url).expect(200);
+
+    await request(app)
+      .get(upload.body.url)
+      .set('If-None-Match', first.headers.etag)
+      .expect(304);
+  });
+
+  it('rejects files that are not images and uploads in the wrong field', async () => {
+    const { id } = await createItem();
+
+    await uploadImage(id, Buffer.from('not an image')).expect(400);
+    await uploadImage(id, await createPng(), 'file').expect(400);
+    const res = await request(app).get(`/api/items/${id}/images`).expect(200);
+    expect(res.body.images).toEqual([]);
+  });
+
+  it('makes an image primary by moving it to the front', async () => {
+    const { id } = await createItem();
+    const first = await uploadImage(id, await createPng(10, 10));
+    const second = await uploadImage(id, await createPng(20, 20));
+
+    const res = await request(app)
+      .post(`/api/items/${id}/images/${second.body.id}/primary`)
+      .expect(200);
+
+    expect(res.body.images.map((image) => image.id)).toEqual([
+      second.body.id,
+      first.body.id,
+    ]);
+  });
+
+  it('reorders only with every image id exactly once', async () => {
+    const { id } = await createItem();
+    const first = await uploadImage(id, await createPng());
+    const second = await uploadImage(id, await createPng());
+
+    await request(app)
+      .put(`/api/items/${id}/images/order`)
+      .send({ order: [second.body.id] })
+      .expect(400);
+    const res = await request(app)
+      .put(`/api/items/${id}/images/order`)
+      .send({ order: [second.body.id, first.body.id] })
+      .expect(200);
+    expect(res.body.images.map((image) => image.id)).toEqual([
+      second.body.id,
+      first.body.id,
+    ]);
+  });
+
+  it('deletes an image together with its files', async () => {
+    const { id } = await createItem();
+    const upload = await uploadImage(id, await createPng());
+
+    await request(app)
+      .delete(`/api/items/${id}/images/${upload.body.id}`)
+      .expect(204);
+
+    await request(app).get(upload.body.url).expect(404);
+    expect(fs.readdirSync(path.join(storageDir, 'items', String(id)))).toEqual(
+      []
+    );
+  });
+
+  it('audits image changes like any other item update', async () => {
+    const { id } = await createItem();
+    await uploadImage(id, await createPng());
+
+    const res = await request(app).get(`/api/items/${id}/history`).expect(200);
+
+    expect(res.body.history.map((entry) => entry.action)).toEqual([
+      'update',
+      'create',
+    ]);
+  });
+});
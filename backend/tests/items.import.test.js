@@ -0,0 +1,143 @@
+const request = require('supertest');
+const Item = require('../src/models/Item');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+// Helper function to import a CSV text body
+function importCsv(csv, query = {}) {
+  return request(app)
+    .post('/api/items/import')
+    .query(query)
+    .set('Content-Type', 'text/csv')
+    .send(csv);
+}
+
+describe('item import', () => {
+  beforeEach(async () => {
+    await request(app).post('/api/categories').send({ name: 'Electronics' });
+  });
+
+  it('reports every invalid row on a dry run without writing', async () => {
+    const res = await importCsv(
+      'name,category,price\r\nKeyboard,Electronics,120\r\nMouse,Electronics,abc\r\n,Electronics,5\r\n',
+      { dryRun: 'true' }
+    ).expect(200);
+
+    expect(res.body.summary).toEqual({ total: 3, valid: 1, invalid: 2 });
+    expect(res.body.rows.map((row) => [row.line, row.status])).toEqual([
+      [2, 'valid'],
+      [3, 'invalid'],
+      [4, 'invalid'],
+    ]);
+    expect(await Item.countDocuments()).toBe(0);
+  });
+
+  it('rejects the whole import when any row is invalid', async () => {
+    await importCsv(
+      'name,category,price\r\nKeyboard,Electronics,120\r\nMouse,Unknown,5\r\n'
+    ).expect(400);
+
+    expect(await Item.countDocuments()).toBe(0);
+  });
+
+  it('upserts rows with an id and creates the rest', async () => {
+    const existing = await createItem({ name: 'Old name' });
+
+    const res = await request(app)
+      .post('/api/items/import')
+      .send([
+        {
+          id: existing.id,
+          name: 'New name',
+          category: 'Electronics',
+          price: 5,
+        },
+        { name: 'Mouse', category: 'Electronics', price: 25 },
+      ])
+      .expect(200);
+
+    expect(res.body.summary).toMatchObject({ created: 1, updated: 1 });
+    const updated = await request(app)
+      .get(`/api/items/${existing.id}`)
+      .expect(200);
+    expect(updated.body).toMatchObject({ name: 'New name', price: 5 });
+  });
+
+  it('moves the id counter past explicit ids before writing them', async () => {
+    const res = await request(app)
+      .post('/api/items/import')
+      .send([
+        { name: 'Without id', category: 'Electronics', price: 1 },
+        { id: 1, name: 'With id 1', category: 'Electronics', price: 2 },
+        { id: 50, name: 'With id 50', category: 'Electronics', price: 3 },
+      ])
+      .expect(200);
+
+    // The new row can't take id 1, which the file itself uses
+    expect(res.body.rows.map((row) => row.id)).toEqual([51, 1, 50]);
+    const created = await createItem();
+    expect(created.id).toBe(52);
+  });
+
+  describe('round trip', () => {
+    const NAMES = ['=SUM(A1:A2)', '-40 degree freezer', '@home', 'Desk, oak'];
+
+    // Helper function to list every item as the fields an import can set
+    async function listItems() {
+      const res = await request(app)
+        .get('/api/items')
+        .query({ limit: '50' })
+        .expect(200);
+      return res.body.items.map(({ id, name, category, price }) => ({
+        id,
+        name,
+        category,
+        price,
+      }));
+    }
+
+    beforeEach(async () => {
+      for (const name of NAMES) {
+        await createItem({ name, price: 10 });
+      }
+    });
+
+    it('imports a CSV export back unchanged', async () => {
+      const before = await listItems();
+      const exported = await request(app)
+        .get('/api/items/export')
+        .query({ format: 'csv' })
+        .expect(200);
+      await Item.deleteMany({});
+
+      await importCsv(exported.text).expect(200);
+
+      expect(await listItems()).toEqual(before);
+    });
+
+    it('imports a JSON export back unchanged', async () => {
+      const before = await listItems();
+      const exported = await request(app)
+        .get('/api/items/export')
+        .query({ format: 'json' })
+        .expect(200);
+      await Item.deleteMany({});
+
+      await request(app)
+        .post('/api/items/import')
+        .send(exported.body)
+        .expect(200);
+
+      expect(await listItems()).toEqual(before);
+    });
+  });
+});
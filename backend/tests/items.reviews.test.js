@@ -0,0 +1,108 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+// Helper function to post a review with the given rating
+function addReview(itemId, review) {
+  return request(app)
+    .post(`/api/items/${itemId}/reviews`)
+    .send({ title: 'Review', ...review });
+}
+
+describe('item reviews', () => {
+  it('keeps the item rating as the running average of its reviews', async () => {
+    const { id } = await createItem();
+
+    await addReview(id, { rating: 5 }).expect(201);
+    const res = await addReview(id, { rating: 2 }).expect(201);
+
+    expect(res.body).toMatchObject({ rating: 3.5, reviewCount: 2 });
+    expect(res.headers.etag).toBe('"v2"');
+    const item = await request(app).get(`/api/items/${id}`).expect(200);
+    expect(item.body).toMatchObject({ rating: 3.5, reviewCount: 2 });
+  });
+
+  it('stores trimmed fields and signs anonymous reviews', async () => {
+    const { id } = await createItem();
+
+    const res = await addReview(id, {
+      rating: 4,
+      title: '  Solid  ',
+      body: ' Types well. ',
+    }).expect(201);
+
+    expect(res.body.review).toMatchObject({
+      itemId: id,
+      rating: 4,
+      title: 'Solid',
+      body: 'Types well.',
+      author: 'Anonymous',
+    });
+  });
+
+  it('pages the reviews with the star distribution', async () => {
+    const { id } = await createItem();
+    for (const rating of [5, 1, 4, 5]) {
+      await addReview(id, { rating, title: `${rating} stars` }).expect(201);
+    }
+
+    const res = await request(app)
+      .get(`/api/items/${id}/reviews`)
+      .query({ sort: '-rating', limit: '3' })
+      .expect(200);
+
+    expect(res.body).toMatchObject({
+      rating: 3.75,
+      reviewCount: 4,
+      distribution: { 1: 1, 2: 0, 3: 0, 4: 1, 5: 2 },
+      pagination: { total: 4, totalPages: 2, hasNext: true },
+    });
+    expect(res.body.reviews.map((review) => review.rating)).toEqual([5, 5, 4]);
+  });
+
+  it('lists an item without reviews with a null rating', async () => {
+    const { id } = await createItem();
+
+    const res = await request(app).get(`/api/items/${id}/reviews`).expect(200);
+
+    expect(res.body).toMatchObject({ rating: null, reviewCount: 0 });
+    expect(res.body.reviews).toEqual([]);
+  });
+
+  it.each([
+    [{ rating: 0 }],
+    [{ rating: 6 }],
+    [{ rating: 4.5 }],
+    [{ rating: 4, title: ' ' }],
+    [{ rating: 4, body: 5 }],
+  ])('rejects %p with 400', async (review) => {
+    const { id } = await createItem();
+
+    await addReview(id, review).expect(400);
+  });
+
+  it.each([
+    [{ sort: 'constructor' }],
+    [{ sort: 'helpful' }],
+    [{ page: '0' }],
+    [{ limit: '1000' }],
+  ])('rejects a listing with %p', async (query) => {
+    const { id } = await createItem();
+
+    await request(app).get(`/api/items/${id}/reviews`).query(query).expect(400);
+  });
+
+  it('answers 404 for reviews of a missing item', async () => {
+    await addReview(404, { rating: 5 }).expect(404);
+    await request(app).get('/api/items/404/reviews').expect(404);
+  });
+});
@@ -0,0 +1,83 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+// Helper function to list the names of the items in the order a sort returns them
+async function listNames(sort) {
+  const res = await request(app)
+    .get('/api/items')
+    .query({ sort, limit: '50' })
+    .expect(200);
+  return res.body.items.map((item) => item.name);
+}
+
+describe('item list sort', () => {
+  beforeAll(async () => {
+    await clearTestDB();
+    await createItem({ name: 'Keyboard', category: 'Electronics', price: 120 });
+    await createItem({ name: 'Mouse', category: 'Electronics', price: 25 });
+    await createItem({ name: 'Desk', category: 'Furniture', price: 300 });
+    await createItem({ name: 'Chair', category: 'Furniture', price: 25 });
+  });
+
+  it('sorts by id when no sort is given', async () => {
+    const res = await request(app).get('/api/items').expect(200);
+
+    expect(res.body.sort).toBe('id');
+    expect(res.body.items.map((item) => item.name)).toEqual([
+      'Keyboard',
+      'Mouse',
+      'Desk',
+      'Chair',
+    ]);
+  });
+
+  it('sorts descending with a leading "-"', async () => {
+    expect(await listNames('-price')).toEqual([
+      'Desk',
+      'Keyboard',
+      'Mouse',
+      'Chair',
+    ]);
+  });
+
+  it('breaks ties by id so equal keys keep a stable order', async () => {
+    // Mouse and Chair both cost 25; Mouse was created first
+    expect(await listNames('price')).toEqual([
+      'Mouse',
+      'Chair',
+      'Keyboard',
+      'Desk',
+    ]);
+  });
+
+  it('sorts on several keys and echoes the canonical sort', async () => {
+    const res = await request(app)
+      .get('/api/items')
+      .query({ sort: 'category,+name' })
+      .expect(200);
+
+    expect(res.body.sort).toBe('category,name');
+    expect(res.body.items.map((item) => item.name)).toEqual([
+      'Keyboard',
+      'Mouse',
+      'Chair',
+      'Desk',
+    ]);
+  });
+
+  it.each(['password', '-__v', 'price,price', ''])(
+    'rejects sort=%p with 400',
+    async (sort) => {
+      await request(app).get('/api/items').query({ sort }).expect(400);
+    }
+  );
+});
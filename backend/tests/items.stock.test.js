@@ -0,0 +1,65 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+// Helper function to run one stock action on an item
+const stockAction = (id, action, quantity) =>
+  request(app).post(`/api/items/${id}/stock/${action}`).send({ quantity });
+
+describe('stock movements', () => {
+  it('never oversells under concurrent reservations', async () => {
+    const { id } = await createItem();
+    await stockAction(id, 'receive', 5).expect(200);
+
+    const responses = await Promise.all(
+      Array.from({ length: 12 }, () => stockAction(id, 'reserve', 1))
+    );
+
+    const statuses = responses.map((res) => res.status);
+    expect(statuses.filter((status) => status === 200)).toHaveLength(5);
+    expect(statuses.filter((status) => status === 409)).toHaveLength(7);
+    const level = await request(app).get(`/api/items/${id}/stock`).expect(200);
+    expect(level.body).toMatchObject({ stock: 5, reserved: 5, available: 0 });
+  });
+
+  it('refuses to reserve more than is available', async () => {
+    const { id } = await createItem();
+    await stockAction(id, 'receive', 2).expect(200);
+
+    await stockAction(id, 'reserve', 3).expect(409);
+
+    const level = await request(app).get(`/api/items/${id}/stock`);
+    expect(level.body).toMatchObject({ stock: 2, reserved: 0, available: 2 });
+  });
+
+  it('refuses a negative adjustment that would eat into reserved units', async () => {
+    const { id } = await createItem();
+    await stockAction(id, 'receive', 3).expect(200);
+    await stockAction(id, 'reserve', 2).expect(200);
+
+    await stockAction(id, 'adjust', -2).expect(409);
+
+    const level = await request(app).get(`/api/items/${id}/stock`);
+    expect(level.body).toMatchObject({ stock: 3, reserved: 2, available: 1 });
+  });
+
+  it('refuses to release more than is reserved', async () => {
+    const { id } = await createItem();
+    await stockAction(id, 'receive', 3).expect(200);
+    await stockAction(id, 'reserve', 1).expect(200);
+
+    await stockAction(id, 'release', 2).expect(409);
+
+    const level = await request(app).get(`/api/items/${id}/stock`);
+    expect(level.body).toMatchObject({ stock: 3, reserved: 1, available: 2 });
+  });
+});
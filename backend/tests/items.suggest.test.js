@@ -0,0 +1,78 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+describe('item suggestions', () => {
+  beforeEach(async () => {
+    await createItem({ name: 'Gaming Laptop', category: 'Electronics' });
+    await createItem({ name: 'Laptop Stand', category: 'Office Supplies' });
+    await createItem({ name: 'Lamp', category: 'Lighting' });
+  });
+
+  it('matches the start of any word in names and categories, ignoring case', async () => {
+    const res = await request(app)
+      .get('/api/items/suggest')
+      .query({ q: 'LAP' })
+      .expect(200);
+
+    expect(res.body.names).toEqual([
+      { value: 'Gaming Laptop', count: 1 },
+      { value: 'Laptop Stand', count: 1 },
+    ]);
+    expect(res.body.categories).toEqual([]);
+
+    const categories = await request(app)
+      .get('/api/items/suggest')
+      .query({ q: 'supp' })
+      .expect(200);
+    expect(categories.body.categories).toEqual([
+      { value: 'Office Supplies', count: 1 },
+    ]);
+  });
+
+  it('does not match inside a word', async () => {
+    const res = await request(app)
+      .get('/api/items/suggest')
+      .query({ q: 'aptop' })
+      .expect(200);
+
+    expect(res.body.names).toEqual([]);
+  });
+
+  it('follows renames of items and categories', async () => {
+    const [lamp] = (
+      await request(app).get('/api/items').query({ name: 'Lamp' })
+    ).body.items;
+    await request(app)
+      .patch(`/api/items/${lamp.id}`)
+      .send({ name: 'Desk Light' })
+      .expect(200);
+    await request(app)
+      .patch('/api/categories/lighting')
+      .send({ name: 'Lights and Lamps' })
+      .expect(200);
+
+    const res = await request(app)
+      .get('/api/items/suggest')
+      .query({ q: 'lamp' })
+      .expect(200);
+
+    expect(res.body.names).toEqual([]);
+    expect(res.body.categories).toEqual([
+      { value: 'Lights and Lamps', count: 1 },
+    ]);
+  });
+
+  it('requires q', async () => {
+    await request(app).get('/api/items/suggest').expect(400);
+  });
+});
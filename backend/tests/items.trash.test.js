@@ -0,0 +1,52 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+describe('soft delete', () => {
+  it('hides trashed items from get, list, search and stats', async () => {
+    const kept = await createItem({ name: 'Desk Lamp' });
+    const trashed = await createItem({ name: 'Desk Chair' });
+
+    await request(app).delete(`/api/items/${trashed.id}`).expect(204);
+
+    await request(app).get(`/api/items/${trashed.id}`).expect(404);
+    const list = await request(app).get('/api/items').expect(200);
+    expect(list.body.items.map((item) => item.id)).toEqual([kept.id]);
+    const search = await request(app).get('/api/items?q=desk').expect(200);
+    expect(search.body.items.map((item) => item.id)).toEqual([kept.id]);
+    const stats = await request(app).get('/api/stats').expect(200);
+    expect(stats.body.total).toBe(1);
+  });
+
+  it('lists trashed items in the trash and brings them back on restore', async () => {
+    const { id } = await createItem();
+    await request(app).delete(`/api/items/${id}`).expect(204);
+
+    const trash = await request(app).get('/api/items/trash').expect(200);
+    expect(trash.body.items.map((item) => item.id)).toEqual([id]);
+
+    await request(app).post(`/api/items/${id}/restore`).expect(200);
+    await request(app).get(`/api/items/${id}`).expect(200);
+    const emptyTrash = await request(app).get('/api/items/trash').expect(200);
+    expect(emptyTrash.body.items).toEqual([]);
+  });
+
+  it('only purges items that are in the trash', async () => {
+    const { id } = await createItem();
+
+    await request(app).delete(`/api/items/trash/${id}`).expect(404);
+    await request(app).delete(`/api/items/${id}`).expect(204);
+    await request(app).delete(`/api/items/trash/${id}`).expect(204);
+
+    await request(app).post(`/api/items/${id}/restore`).expect(404);
+  });
+});
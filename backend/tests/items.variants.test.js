@@ -0,0 +1,131 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+const BROWN = {
+  sku: 'KB-BROWN',
+  options: { switch: 'Brown' },
+  price: 130,
+  stock: 4,
+};
+
+// Helper function to add a variant to an item
+function addVariant(itemId, variant) {
+  return request(app).post(`/api/items/${itemId}/variants`).send(variant);
+}
+
+describe('item variants', () => {
+  it('adds a variant, bumps the item version and lists it', async () => {
+    const { id } = await createItem();
+
+    const res = await addVariant(id, BROWN).expect(201);
+
+    expect(res.headers.etag).toBe('"v1"');
+    expect(res.body).toEqual(BROWN);
+    const list = await request(app)
+      .get(`/api/items/${id}/variants`)
+      .expect(200);
+    expect(list.body).toEqual({ itemId: id, variants: [BROWN] });
+  });
+
+  it('defaults stock to 0 and sorts option names', async () => {
+    const { id } = await createItem();
+
+    const res = await addVariant(id, {
+      sku: 'KB-RED-UK',
+      options: { switch: 'Red', layout: 'UK' },
+      price: 140,
+    }).expect(201);
+
+    expect(res.body.stock).toBe(0);
+    expect(Object.keys(res.body.options)).toEqual(['layout', 'switch']);
+  });
+
+  it('rejects a taken SKU on any item and a repeated option combination', async () => {
+    const keyboard = await createItem();
+    const other = await createItem({ name: 'Other keyboard' });
+    await addVariant(keyboard.id, BROWN).expect(201);
+
+    await addVariant(keyboard.id, { ...BROWN, sku: 'KB-BROWN-2' }).expect(409);
+    await addVariant(keyboard.id, {
+      ...BROWN,
+      options: { switch: 'Red' },
+    }).expect(409);
+    await addVariant(other.id, {
+      ...BROWN,
+      options: { switch: 'Red' },
+    }).expect(409);
+  });
+
+  it.each([
+    [{ options: { switch: 'Brown' }, price: 1 }],
+    [{ sku: ' ', options: { switch: 'Brown' }, price: 1 }],
+    [{ sku: 'KB-1', options: {}, price: 1 }],
+    [{ sku: 'KB-1', options: { switch: 5 }, price: 1 }],
+    [{ sku: 'KB-1', options: { switch: 'Brown' }, price: -1 }],
+    [{ sku: 'KB-1', options: { switch: 'Brown' }, price: 1, stock: 1.5 }],
+  ])('rejects %p with 400', async (variant) => {
+    const { id } = await createItem();
+
+    await addVariant(id, variant).expect(400);
+  });
+
+  it('updates a variant but never its SKU', async () => {
+    const { id } = await createItem();
+    await addVariant(id, BROWN).expect(201);
+
+    const res = await request(app)
+      .patch(`/api/items/${id}/variants/KB-BROWN`)
+      .send({ price: 125, stock: 9 })
+      .expect(200);
+    expect(res.body).toEqual({ ...BROWN, price: 125, stock: 9 });
+
+    await request(app)
+      .patch(`/api/items/${id}/variants/KB-BROWN`)
+      .send({ sku: 'KB-OTHER' })
+      .expect(400);
+  });
+
+  it('deletes a variant, then answers 404 for it', async () => {
+    const { id } = await createItem();
+    await addVariant(id, BROWN).expect(201);
+
+    await request(app).delete(`/api/items/${id}/variants/KB-BROWN`).expect(204);
+    await request(app)
+      .patch(`/api/items/${id}/variants/KB-BROWN`)
+      .send({ price: 1 })
+      .expect(404);
+  });
+
+  it('rejects a variant write with a stale If-Match', async () => {
+    const { id } = await createItem();
+    await addVariant(id, BROWN).expect(201);
+
+    await request(app)
+      .patch(`/api/items/${id}/variants/KB-BROWN`)
+      .set('If-Match', '"v0"')
+      .send({ price: 1 })
+      .expect(412);
+  });
+
+  it('matches variant prices in the list price filter', async () => {
+    const { id } = await createItem({ price: 120 });
+    await addVariant(id, { ...BROWN, price: 80 }).expect(201);
+
+    const res = await request(app)
+      .get('/api/items')
+      .query({ maxPrice: '100' })
+      .expect(200);
+
+    expect(res.body.items.map((item) => item.id)).toEqual([id]);
+  });
+});
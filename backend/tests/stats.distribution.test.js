@@ -0,0 +1,91 @@
+const request = require('supertest');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(clearTestDB);
+afterAll(disconnectTestDB);
+
+describe('price distribution', () => {
+  it('interpolates percentiles between the nearest prices', async () => {
+    for (const price of [10, 20, 30, 40]) {
+      await createItem({ price });
+    }
+
+    const res = await request(app).get('/api/stats/distribution').expect(200);
+
+    expect(res.body.total).toBe(4);
+    expect(res.body.percentiles).toEqual({
+      p25: 17.5,
+      p50: 25,
+      p75: 32.5,
+      p90: 37,
+      p99: 39.7,
+    });
+  });
+
+  it('puts every item in a bucket, even prices with more than 2 decimals', async () => {
+    for (const price of [9.995, 15, 20.004]) {
+      await createItem({ price });
+    }
+
+    const res = await request(app)
+      .get('/api/stats/distribution')
+      .query({ buckets: '3' })
+      .expect(200);
+
+    const { histogram } = res.body;
+    expect(histogram).toHaveLength(3);
+    expect(histogram[0].min).toBe(9.995);
+    expect(histogram[2].max).toBe(20.004);
+    expect(histogram.map((bucket) => bucket.count)).toEqual([1, 1, 1]);
+  });
+
+  it('buckets on explicit boundaries, with an open-ended last bucket', async () => {
+    for (const price of [5, 50, 60, 500]) {
+      await createItem({ price });
+    }
+
+    const res = await request(app)
+      .get('/api/stats/distribution')
+      .query({ boundaries: '0,10,100' })
+      .expect(200);
+
+    expect(
+      res.body.histogram.map(({ min, max, count }) => ({ min, max, count }))
+    ).toEqual([
+      { min: 0, max: 10, count: 1 },
+      { min: 10, max: 100, count: 2 },
+      { min: 100, max: null, count: 1 },
+    ]);
+  });
+
+  it('breaks the histogram down per category on the same buckets', async () => {
+    await createItem({ category: 'Electronics', price: 5 });
+    await createItem({ category: 'Furniture', price: 50 });
+
+    const res = await request(app)
+      .get('/api/stats/distribution')
+      .query({ boundaries: '0,10', byCategory: 'true' })
+      .expect(200);
+
+    expect(
+      res.body.categories.Furniture.histogram.map((bucket) => bucket.count)
+    ).toEqual([0, 1]);
+    expect(
+      res.body.categories.Electronics.histogram.map((bucket) => bucket.count)
+    ).toEqual([1, 0]);
+  });
+
+  it('rejects buckets and boundaries together', async () => {
+    await request(app)
+      .get('/api/stats/distribution')
+      .query({ buckets: '3', boundaries: '0,10' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const Item = require('../src/models/Item');
+const { invalidateStatsCache } = require('../src/routes/stats');
+const {
+  app,
+  connectTestDB,
+  clearTestDB,
+  disconnectTestDB,
+  createItem,
+} = require('./helpers/db');
+
+beforeAll(connectTestDB);
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await clearTestDB();
+});
+afterAll(disconnectTestDB);
+
+describe('stats', () => {
+  it('summarizes prices overall and per category', async () => {
+    await createItem({ category: 'Electronics', price: 100 });
+    await createItem({ category: 'Electronics', price: 200 });
+    await createItem({ category: 'Furniture', price: 30 });
+
+    const res = await request(app).get('/api/stats').expect(200);
+
+    expect(res.body).toMatchObject({
+      total: 3,
+      averagePrice: 110,
+      minPrice: 30,
+      maxPrice: 200,
+      medianPrice: 100,
+      categoryBreakdown: { Electronics: 2, Furniture: 1 },
+    });
+    expect(res.body.categoryStats.Electronics).toMatchObject({
+      count: 2,
+      averagePrice: 150,
+      medianPrice: 150,
+    });
+  });
+
+  it('answers an empty catalog with zeros', async () => {
+    const res = await request(app).get('/api/stats').expect(200);
+
+    expect(res.body).toEqual({ total: 0, averagePrice: 0 });
+  });
+
+  it('recomputes after a write through the API', async () => {
+    await createItem({ price: 10 });
+    const before = await request(app).get('/api/stats').expect(200);
+    expect(before.body.total).toBe(1);
+
+    await createItem({ price: 20 });
+
+    const after = await request(app).get('/api/stats').expect(200);
+    expect(after.body.total).toBe(2);
+  });
+
+  it('does not cache a result computed while a write invalidated the cache', async () => {
+    await createItem({ price: 10 });
+    // A write lands while the aggregation is running
+    const aggregate = Item.aggregate;
+    jest.spyOn(Item, 'aggregate').mockImplementationOnce(function (...args) {
+      invalidateStatsCache();
+      return aggregate.apply(this, args);
+    });
+    await request(app).get('/api/stats').expect(200);
+
+    // Written behind the API's back, so only a fresh computation sees it
+    await Item.collection.insertOne({
+      id: 99,
+      name: 'Direct insert',
+      category: 'Electronics',
+      price: 20,
+    });
+
+    const res = await request(app).get('/api/stats').expect(200);
+    expect(res.body.total).toBe(2);
+  });
+
+  it('accepts the list filters and caches each filter combination apart', async () => {
+    await createItem({ category: 'Electronics', price: 100 });
+    await createItem({ category: 'Electronics', price: 200 });
+    await createItem({ category: 'Furniture', price: 30 });
+
+    const all = await request(app).get('/api/stats').expect(200);
+    const filtered = await request(app)
+      .get('/api/stats')
+      .query({ category: 'Electronics', maxPrice: '150' })
+      .expect(200);
+
+    expect(all.body.total).toBe(3);
+    expect(filtered.body).toMatchObject({
+      total: 1,
+      averagePrice: 100,
+      categoryBreakdown: { Electronics: 1 },
+    });
+  });
+
+  it('rejects invalid filters with 400', async () => {
+    await request(app).get('/api/stats').query({ minPrice: '-1' }).expect(400);
+  });
+
+  it('summarizes one category with its subcategories', async () => {
+    await request(app)
+      .post('/api/categories')
+      .send({ name: 'Electronics' })
+      .expect(201);
+    await request(app)
+      .post('/api/categories')
+      .send({ name: 'Laptops', parent: 'electronics' })
+      .expect(201);
+    await createItem({ category: 'Electronics', price: 100 });
+    await createItem({ category: 'Laptops', price: 900 });
+    await createItem({ category: 'Furniture', price: 30 });
+
+    const res = await request(app)
+      .get('/api/stats/categories/electronics')
+      .expect(200);
+
+    expect(res.body).toMatchObject({
+      category: 'Electronics',
+      slug: 'electronics',
+      total: 2,
+      averagePrice: 500,
+      minPrice: 100,
+      maxPrice: 900,
+    });
+  });
+
+  it('answers 404 for an unknown category', async () => {
+    await request(app).get('/api/stats/categories/nothing').expect(404);
+  });
+});
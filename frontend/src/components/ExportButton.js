@@ -0,0 +1,83 @@
+import React, { memo, useState } from 'react';
+
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'ndjson', label: 'NDJSON' },
+  { value: 'json', label: 'JSON' },
+];
+
+const exportStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem',
+  padding: '0.75rem 1rem',
+  background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+  color: 'white',
+  borderRadius: '0.75rem',
+  fontSize: '1rem',
+  fontWeight: '500',
+  fontFamily: 'inherit',
+  textDecoration: 'none',
+  cursor: 'pointer',
+};
+
+//  EXPORT RESULTS - Download link for the current search and filters
+//
+// Why a Plain Link Instead of fetch():
+// - The API streams the file; the browser writes it straight to disk
+// - No blob of the whole catalog held in page memory
+// - Content-Disposition from the API names the download
+const ExportButton = ({ getUrl, disabled }) => {
+  const [format, setFormat] = useState('csv');
+
+  return (
+    <div
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem',
+      }}>
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        aria-label='Export format'
+        style={{
+          padding: '0.75rem',
+          border: '2px solid #e2e8f0',
+          borderRadius: '0.75rem',
+          background: '#f8fafc',
+          color: '#475569',
+          fontWeight: '500',
+          cursor: 'pointer',
+        }}>
+        {EXPORT_FORMATS.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {/* No results - a real disabled button, not a link with no href */}
+      {disabled ? (
+        <button
+          type='button'
+          disabled
+          style={{
+            ...exportStyle,
+            border: 'none',
+            opacity: 0.6,
+            cursor: 'not-allowed',
+          }}>
+          <span>⬇️</span>
+          Export results
+        </button>
+      ) : (
+        <a href={getUrl(format)} download style={exportStyle}>
+          <span>⬇️</span>
+          Export results
+        </a>
+      )}
+    </div>
+  );
+};
+
+export default memo(ExportButton);
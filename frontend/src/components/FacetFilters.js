@@ -0,0 +1,159 @@
+import React, { memo } from 'react';
+
+// Formats a price bucket from the API ({ min, max, count }) as a chip label
+const formatBucket = ({ min, max }) =>
+  max === null
+    ? `$${min.toLocaleString()}+`
+    : `$${min.toLocaleString()} – $${max.toLocaleString()}`;
+
+const chipStyle = (active, disabled) => ({
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.5rem',
+  padding: '0.5rem 0.875rem',
+  border: '2px solid',
+  borderColor: active ? '#667eea' : '#e5e7eb',
+  borderRadius: '2rem',
+  background: active ? '#667eea' : 'white',
+  color: active ? 'white' : '#4b5563',
+  fontSize: '0.875rem',
+  fontWeight: active ? '600' : '500',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.6 : 1,
+  transition: 'all 0.2s ease',
+});
+
+const countStyle = (active) => ({
+  background: active ? 'rgba(255, 255, 255, 0.25)' : '#f1f5f9',
+  padding: '0.125rem 0.5rem',
+  borderRadius: '1rem',
+  fontSize: '0.75rem',
+});
+
+//  FACET FILTERS - Clickable category and price-bucket counts
+//
+// Why the Counts Come From the Server:
+// - The API computes them for the current search in one aggregation
+// - Each facet ignores its own filter, so other categories stay visible
+//   (and clickable) while one is selected
+// - Zero-count price buckets are hidden unless they are the active one
+const FacetFilters = ({
+  facets,
+  activeFilters,
+  onToggleCategory,
+  onSelectPriceBucket,
+  onClear,
+  disabled,
+}) => {
+  if (!facets) return null;
+
+  const { categories, minPrice, priceBelow } = activeFilters;
+  const hasActiveFilters =
+    categories.length > 0 || minPrice !== null || priceBelow !== null;
+  const isActiveBucket = (bucket) =>
+    bucket.min === minPrice && bucket.max === priceBelow;
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        padding: '1.5rem 2rem',
+        borderRadius: '1rem',
+        boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+        border: '1px solid #f1f5f9',
+        marginBottom: '2rem',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '1.25rem',
+      }}>
+      {facets.category && facets.category.length > 0 && (
+        <div>
+          <h4
+            style={{
+              margin: '0 0 0.75rem 0',
+              fontSize: '0.875rem',
+              fontWeight: '700',
+              color: '#374151',
+              textTransform: 'uppercase',
+              letterSpacing: '0.05em',
+            }}>
+            Category
+          </h4>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+            {facets.category.map(({ value, count }) => {
+              const active = categories.includes(value);
+              return (
+                <button
+                  key={value}
+                  type='button'
+                  disabled={disabled}
+                  aria-pressed={active}
+                  onClick={() => onToggleCategory(value)}
+                  style={chipStyle(active, disabled)}>
+                  {value}
+                  <span style={countStyle(active)}>{count}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {facets.price && (
+        <div>
+          <h4
+            style={{
+              margin: '0 0 0.75rem 0',
+              fontSize: '0.875rem',
+              fontWeight: '700',
+              color: '#374151',
+              textTransform: 'uppercase',
+              letterSpacing: '0.05em',
+            }}>
+            Price
+          </h4>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+            {facets.price
+              .filter((bucket) => bucket.count > 0 || isActiveBucket(bucket))
+              .map((bucket) => {
+                const active = isActiveBucket(bucket);
+                return (
+                  <button
+                    key={bucket.min}
+                    type='button'
+                    disabled={disabled}
+                    aria-pressed={active}
+                    onClick={() => onSelectPriceBucket(bucket)}
+                    style={chipStyle(active, disabled)}>
+                    {formatBucket(bucket)}
+                    <span style={countStyle(active)}>{bucket.count}</span>
+                  </button>
+                );
+              })}
+          </div>
+        </div>
+      )}
+
+      {hasActiveFilters && (
+        <button
+          type='button'
+          onClick={onClear}
+          disabled={disabled}
+          style={{
+            alignSelf: 'flex-start',
+            padding: '0.5rem 1rem',
+            background: 'none',
+            border: 'none',
+            color: '#667eea',
+            fontWeight: '600',
+            fontSize: '0.875rem',
+            cursor: disabled ? 'not-allowed' : 'pointer',
+          }}>
+          ✕ Clear filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default memo(FacetFilters);
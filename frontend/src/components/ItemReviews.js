@@ -0,0 +1,408 @@
+import React, { useEffect, useState } from 'react';
+import StarRating from './StarRating';
+
+const REVIEWS_PER_PAGE = 5;
+const SORT_OPTIONS = [
+  { value: '-createdAt', label: 'Newest' },
+  { value: '-rating', label: 'Highest rated' },
+  { value: 'rating', label: 'Lowest rated' },
+];
+const EMPTY_FORM = { rating: 0, title: '', body: '', author: '' };
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '0.625rem 0.875rem',
+  border: '2px solid #e5e7eb',
+  borderRadius: '0.5rem',
+  fontSize: '0.875rem',
+  fontFamily: 'inherit',
+};
+
+const pageButtonStyle = (disabled) => ({
+  padding: '0.5rem 1rem',
+  background: 'white',
+  color: disabled ? '#9ca3af' : '#374151',
+  border: '2px solid #e5e7eb',
+  borderRadius: '0.5rem',
+  fontSize: '0.875rem',
+  fontWeight: '600',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+});
+
+//  ITEM REVIEWS - Rating breakdown, paginated reviews and a review form
+//
+// Why the Parent Gets the New Rating Back:
+// - POST /reviews answers with the item's updated { rating, reviewCount },
+//   so the summary next to the price updates without refetching the item
+const ItemReviews = ({ itemId, onRatingChange }) => {
+  const [page, setPage] = useState(1);
+  const [sort, setSort] = useState('-createdAt');
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  // Bumped after a successful post so the current page is fetched again
+  const [reloadKey, setReloadKey] = useState(0);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [submitting, setSubmitting] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  useEffect(() => {
+    setPage(1);
+    setForm(EMPTY_FORM);
+    setFormError(null);
+  }, [itemId]);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    const params = new URLSearchParams({
+      page: String(page),
+      limit: String(REVIEWS_PER_PAGE),
+      sort,
+    });
+
+    fetch(`/api/items/${itemId}/reviews?${params}`, {
+      signal: abortController.signal,
+    })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((reviewData) => {
+        setData(reviewData);
+        setError(null);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') {
+          setError(err.message);
+          console.error('Failed to fetch reviews:', err);
+        }
+      });
+
+    return () => abortController.abort();
+  }, [itemId, page, sort, reloadKey]);
+
+  const updateField = (field) => (e) =>
+    setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.rating === 0) {
+      setFormError('Please pick a star rating');
+      return;
+    }
+
+    setSubmitting(true);
+    setFormError(null);
+    try {
+      const response = await fetch(`/api/items/${itemId}/reviews`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const result = await response.json();
+
+      onRatingChange({
+        rating: result.rating,
+        reviewCount: result.reviewCount,
+      });
+      setForm(EMPTY_FORM);
+      // The new review is the newest one - show it at the top
+      setSort('-createdAt');
+      setPage(1);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const pagination = data && data.pagination;
+
+  return (
+    <div style={{ marginTop: '3rem', textAlign: 'left' }}>
+      <h4
+        style={{
+          fontSize: '1rem',
+          fontWeight: '600',
+          color: '#374151',
+          margin: '0 0 1rem 0',
+        }}>
+        ⭐ Customer Reviews
+      </h4>
+
+      {error && (
+        <p style={{ color: '#dc2626', fontSize: '0.875rem' }}>
+          Couldn't load reviews: {error}
+        </p>
+      )}
+
+      {/* Summary - average and how many reviews gave each star count */}
+      {data && data.reviewCount > 0 && (
+        <div
+          style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: '2rem',
+            alignItems: 'center',
+            background: '#f8fafc',
+            padding: '1.5rem',
+            borderRadius: '1rem',
+            border: '2px solid #e2e8f0',
+            marginBottom: '1.5rem',
+          }}>
+          <div style={{ textAlign: 'center' }}>
+            <div
+              style={{
+                fontSize: '2.5rem',
+                fontWeight: '800',
+                color: '#1f2937',
+              }}>
+              {data.rating.toFixed(1)}
+            </div>
+            <StarRating rating={data.rating} size='1.25rem' />
+            <div
+              style={{
+                fontSize: '0.75rem',
+                color: '#6b7280',
+                marginTop: '0.25rem',
+              }}>
+              {data.reviewCount} {data.reviewCount === 1 ? 'review' : 'reviews'}
+            </div>
+          </div>
+          <div style={{ flex: '1 1 200px' }}>
+            {[5, 4, 3, 2, 1].map((stars) => (
+              <div
+                key={stars}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.5rem',
+                  fontSize: '0.75rem',
+                  color: '#6b7280',
+                }}>
+                <span style={{ width: '1.5rem' }}>{stars}★</span>
+                <div
+                  style={{
+                    flex: 1,
+                    height: '0.5rem',
+                    background: '#e5e7eb',
+                    borderRadius: '0.25rem',
+                    overflow: 'hidden',
+                  }}>
+                  <div
+                    style={{
+                      width: `${
+                        (data.distribution[stars] / data.reviewCount) * 100
+                      }%`,
+                      height: '100%',
+                      background: '#f59e0b',
+                    }}
+                  />
+                </div>
+                <span style={{ width: '2rem', textAlign: 'right' }}>
+                  {data.distribution[stars]}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {data && data.reviewCount === 0 && (
+        <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>
+          No reviews yet - be the first to share your thoughts.
+        </p>
+      )}
+
+      {/* Review list */}
+      {data && data.reviews.length > 0 && (
+        <>
+          <div
+            style={{
+              display: 'flex',
+              justifyContent: 'flex-end',
+              marginBottom: '0.75rem',
+            }}>
+            <select
+              aria-label='Sort reviews'
+              value={sort}
+              onChange={(e) => {
+                setSort(e.target.value);
+                setPage(1);
+              }}
+              style={{ ...inputStyle, width: 'auto' }}>
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {data.reviews.map((review) => (
+            <div
+              key={review.id}
+              style={{
+                padding: '1rem 0',
+                borderBottom: '1px solid #f1f5f9',
+              }}>
+              <div
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.75rem',
+                  flexWrap: 'wrap',
+                }}>
+                <StarRating rating={review.rating} />
+                <strong style={{ color: '#1f2937' }}>{review.title}</strong>
+              </div>
+              <div
+                style={{
+                  fontSize: '0.75rem',
+                  color: '#6b7280',
+                  margin: '0.25rem 0 0.5rem 0',
+                }}>
+                {review.author} ·{' '}
+                {new Date(review.createdAt).toLocaleDateString()}
+              </div>
+              {review.body && (
+                <p
+                  style={{
+                    margin: 0,
+                    color: '#374151',
+                    fontSize: '0.875rem',
+                    whiteSpace: 'pre-line',
+                  }}>
+                  {review.body}
+                </p>
+              )}
+            </div>
+          ))}
+
+          {pagination.totalPages > 1 && (
+            <div
+              style={{
+                display: 'flex',
+                gap: '1rem',
+                alignItems: 'center',
+                justifyContent: 'center',
+                marginTop: '1rem',
+                fontSize: '0.875rem',
+                color: '#6b7280',
+              }}>
+              <button
+                type='button'
+                disabled={!pagination.hasPrev}
+                onClick={() => setPage(page - 1)}
+                style={pageButtonStyle(!pagination.hasPrev)}>
+                ← Previous
+              </button>
+              Page {pagination.currentPage} of {pagination.totalPages}
+              <button
+                type='button'
+                disabled={!pagination.hasNext}
+                onClick={() => setPage(page + 1)}
+                style={pageButtonStyle(!pagination.hasNext)}>
+                Next →
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Write a review */}
+      <form
+        onSubmit={handleSubmit}
+        style={{
+          display: 'grid',
+          gap: '0.75rem',
+          marginTop: '1.5rem',
+          background: '#f8fafc',
+          padding: '1.5rem',
+          borderRadius: '1rem',
+          border: '2px solid #e2e8f0',
+        }}>
+        <strong style={{ color: '#374151' }}>Write a review</strong>
+        <div role='radiogroup' aria-label='Your rating'>
+          {[1, 2, 3, 4, 5].map((stars) => (
+            <button
+              key={stars}
+              type='button'
+              role='radio'
+              aria-checked={form.rating === stars}
+              aria-label={`${stars} ${stars === 1 ? 'star' : 'stars'}`}
+              onClick={() =>
+                setForm((current) => ({ ...current, rating: stars }))
+              }
+              style={{
+                padding: '0 0.125rem',
+                border: 'none',
+                background: 'none',
+                fontSize: '1.75rem',
+                lineHeight: 1,
+                cursor: 'pointer',
+                color: stars <= form.rating ? '#f59e0b' : '#d1d5db',
+              }}>
+              ★
+            </button>
+          ))}
+        </div>
+        <input
+          type='text'
+          placeholder='Title'
+          value={form.title}
+          onChange={updateField('title')}
+          maxLength={120}
+          required
+          style={inputStyle}
+        />
+        <textarea
+          placeholder='What did you like or dislike? (optional)'
+          value={form.body}
+          onChange={updateField('body')}
+          maxLength={5000}
+          rows={4}
+          style={{ ...inputStyle, resize: 'vertical' }}
+        />
+        <input
+          type='text'
+          placeholder='Your name (optional)'
+          value={form.author}
+          onChange={updateField('author')}
+          maxLength={60}
+          style={inputStyle}
+        />
+        {formError && (
+          <p style={{ margin: 0, color: '#dc2626', fontSize: '0.875rem' }}>
+            {formError}
+          </p>
+        )}
+        <button
+          type='submit'
+          disabled={submitting}
+          style={{
+            justifySelf: 'start',
+            padding: '0.75rem 1.5rem',
+            background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+            color: 'white',
+            border: 'none',
+            borderRadius: '0.75rem',
+            fontSize: '0.875rem',
+            fontWeight: '600',
+            cursor: submitting ? 'not-allowed' : 'pointer',
+            opacity: submitting ? 0.6 : 1,
+          }}>
+          {submitting ? 'Submitting…' : 'Submit review'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ItemReviews;
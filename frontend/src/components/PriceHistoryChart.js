@@ -0,0 +1,135 @@
+import React, { memo, useMemo } from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 20, right: 20, bottom: 32, left: 56 };
+
+const formatPrice = (price) => `$${price.toLocaleString()}`;
+const formatDate = (time) =>
+  new Date(time).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+
+// Turns the API's change list into step points: the price holds until the
+// next change, and the last price runs up to "now"
+const toSteps = (changes, currentPrice) => {
+  if (changes.length === 0) return [];
+  const first = changes[0];
+  const points = [
+    {
+      time: new Date(first.changedAt).getTime(),
+      price: first.oldPrice ?? first.newPrice,
+    },
+  ];
+  changes.forEach((change) =>
+    points.push({
+      time: new Date(change.changedAt).getTime(),
+      price: change.newPrice,
+    })
+  );
+  points.push({ time: Date.now(), price: currentPrice });
+  return points;
+};
+
+//  PRICE HISTORY CHART - Step line of an item's price over time
+//
+// Why Plain SVG:
+// - One small chart doesn't justify a charting dependency in the bundle
+// - viewBox scaling makes it responsive without resize listeners
+// - A step line is honest for prices: they jump, they don't drift
+const PriceHistoryChart = ({ changes, currentPrice }) => {
+  const points = useMemo(
+    () => toSteps(changes, currentPrice),
+    [changes, currentPrice]
+  );
+
+  if (points.length === 0) {
+    return (
+      <p style={{ margin: 0, color: '#6b7280', fontSize: '0.875rem' }}>
+        No price changes recorded yet.
+      </p>
+    );
+  }
+
+  const times = points.map((p) => p.time);
+  const prices = points.map((p) => p.price);
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const minPrice = Math.min(...prices);
+  const maxPrice = Math.max(...prices);
+  // Pad flat series so the line doesn't sit on the chart edge
+  const priceRange = maxPrice - minPrice || Math.max(maxPrice * 0.1, 1);
+  const low = maxPrice === minPrice ? minPrice - priceRange / 2 : minPrice;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) =>
+    PADDING.left +
+    (maxTime === minTime
+      ? 0
+      : ((time - minTime) / (maxTime - minTime)) * plotWidth);
+  const y = (price) =>
+    PADDING.top + plotHeight - ((price - low) / priceRange) * plotHeight;
+
+  // Horizontal to the next change, then vertical to the new price
+  const path = points
+    .map((p, i) =>
+      i === 0
+        ? `M ${x(p.time)} ${y(p.price)}`
+        : `H ${x(p.time)} V ${y(p.price)}`
+    )
+    .join(' ');
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role='img'
+      aria-label={`Price history from ${formatPrice(
+        points[0].price
+      )} to ${formatPrice(currentPrice)}`}
+      style={{ width: '100%', height: 'auto', display: 'block' }}>
+      {[low + priceRange, low].map((price) => (
+        <g key={price}>
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(price)}
+            y2={y(price)}
+            stroke='#e5e7eb'
+          />
+          <text
+            x={PADDING.left - 8}
+            y={y(price) + 4}
+            textAnchor='end'
+            fontSize='12'
+            fill='#6b7280'>
+            {formatPrice(Math.round(price * 100) / 100)}
+          </text>
+        </g>
+      ))}
+      <text x={PADDING.left} y={HEIGHT - 8} fontSize='12' fill='#6b7280'>
+        {formatDate(minTime)}
+      </text>
+      <text
+        x={WIDTH - PADDING.right}
+        y={HEIGHT - 8}
+        textAnchor='end'
+        fontSize='12'
+        fill='#6b7280'>
+        Today
+      </text>
+      <path d={path} fill='none' stroke='#059669' strokeWidth='3' />
+      {points.slice(1, -1).map((p, i) => (
+        <circle key={i} cx={x(p.time)} cy={y(p.price)} r='4' fill='#059669'>
+          <title>
+            {formatDate(p.time)}: {formatPrice(p.price)}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default memo(PriceHistoryChart);
@@ -0,0 +1,71 @@
+import React, { memo } from 'react';
+
+//  TYPEAHEAD DROPDOWN - Presentational list for /api/items/suggest results
+//
+// Why Keep This Component "Dumb":
+// - Keyboard handling lives on the search input that owns focus
+// - Parent passes a flat list + active index, so ArrowUp/ArrowDown is just math
+// - memo() skips re-renders while the user keeps typing the same prefix
+const SearchSuggestions = ({ id, suggestions, activeIndex, onSelect }) => {
+  if (suggestions.length === 0) return null;
+
+  return (
+    <ul
+      id={id}
+      role='listbox'
+      style={{
+        position: 'absolute',
+        top: '100%',
+        left: 0,
+        right: 0,
+        margin: '0.5rem 0 0 0',
+        padding: '0.5rem',
+        listStyle: 'none',
+        background: 'white',
+        border: '2px solid #e2e8f0',
+        borderRadius: '0.75rem',
+        boxShadow: '0 10px 25px -5px rgba(0, 0, 0, 0.1)',
+        zIndex: 10,
+      }}>
+      {suggestions.map((suggestion, index) => (
+        <li
+          key={`${suggestion.type}-${suggestion.value}`}
+          id={`${id}-${index}`}
+          role='option'
+          aria-selected={index === activeIndex}
+          // Prevent the input from blurring (and closing the list) before onClick
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => onSelect(suggestion)}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: '1rem',
+            padding: '0.625rem 0.75rem',
+            borderRadius: '0.5rem',
+            cursor: 'pointer',
+            background: index === activeIndex ? '#eef2ff' : 'transparent',
+            color: index === activeIndex ? '#4338ca' : '#374151',
+          }}>
+          <span>
+            <span style={{ marginRight: '0.5rem' }}>
+              {suggestion.type === 'category' ? '🏷️' : '🔍'}
+            </span>
+            {suggestion.value}
+          </span>
+          <span
+            style={{
+              fontSize: '0.75rem',
+              color: '#6b7280',
+              whiteSpace: 'nowrap',
+            }}>
+            {suggestion.type === 'category' ? 'Category · ' : ''}
+            {suggestion.count} {suggestion.count === 1 ? 'item' : 'items'}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default memo(SearchSuggestions);
@@ -0,0 +1,41 @@
+import React, { memo } from 'react';
+
+//  STAR RATING - Five stars filled to the (possibly fractional) rating
+//
+// Why Two Layers of Stars:
+// - A grey row sits underneath and a gold row is clipped to rating / 5 of
+//   its width on top, so 4.3 shows exactly 4.3 stars, not a rounded 4
+const StarRating = ({ rating, size = '1rem' }) => {
+  const percent = Math.max(0, Math.min(5, rating || 0)) * 20;
+
+  return (
+    <span
+      role='img'
+      aria-label={`${(rating || 0).toFixed(1)} out of 5 stars`}
+      style={{
+        position: 'relative',
+        display: 'inline-block',
+        fontSize: size,
+        lineHeight: 1,
+        letterSpacing: '0.1em',
+        color: '#e5e7eb',
+        whiteSpace: 'nowrap',
+      }}>
+      ★★★★★
+      <span
+        aria-hidden='true'
+        style={{
+          position: 'absolute',
+          top: 0,
+          left: 0,
+          width: `${percent}%`,
+          overflow: 'hidden',
+          color: '#f59e0b',
+        }}>
+        ★★★★★
+      </span>
+    </span>
+  );
+};
+
+export default memo(StarRating);
@@ -0,0 +1,67 @@
+import React, { memo } from 'react';
+
+// { switch: 'Brown', layout: 'ISO' } -> "Brown · ISO"
+const formatOptions = (options) => Object.values(options).join(' · ');
+
+const chipStyle = (active, soldOut) => ({
+  display: 'inline-flex',
+  flexDirection: 'column',
+  alignItems: 'center',
+  gap: '0.25rem',
+  padding: '0.625rem 1rem',
+  border: '2px solid',
+  borderColor: active ? '#667eea' : '#e5e7eb',
+  borderRadius: '0.75rem',
+  background: active ? 'rgba(102, 126, 234, 0.1)' : 'white',
+  color: soldOut ? '#9ca3af' : '#374151',
+  fontSize: '0.875rem',
+  fontWeight: active ? '700' : '500',
+  cursor: 'pointer',
+  transition: 'all 0.2s ease',
+});
+
+//  VARIANT PICKER - One chip per variant with its own price
+//
+// Why One Chip Per Variant (not a dropdown per option):
+// - Every chip is a combination that actually exists, so the shopper can't
+//   build one that isn't sold
+// - Sold-out variants stay selectable (greyed out) so their price is visible
+const VariantPicker = ({ variants, selectedSku, onSelect }) => {
+  if (variants.length === 0) return null;
+
+  return (
+    <div
+      role='radiogroup'
+      aria-label='Variant'
+      style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '0.75rem',
+        justifyContent: 'center',
+        marginBottom: '1.5rem',
+      }}>
+      {variants.map((variant) => {
+        const active = variant.sku === selectedSku;
+        const soldOut = variant.stock <= 0;
+        return (
+          <button
+            key={variant.sku}
+            type='button'
+            role='radio'
+            aria-checked={active}
+            title={`SKU ${variant.sku}`}
+            onClick={() => onSelect(variant.sku)}
+            style={chipStyle(active, soldOut)}>
+            <span>{formatOptions(variant.options)}</span>
+            <span style={{ fontSize: '0.75rem', color: '#6b7280' }}>
+              ${variant.price.toLocaleString()}
+              {soldOut && ' · sold out'}
+            </span>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default memo(VariantPicker);
@@ -2,6 +2,48 @@ import React, { memo, useCallback } from 'react';
 import { FixedSizeList as List } from 'react-window';
 import { Link } from 'react-router-dom';
 
+//  ROW THUMBNAIL - The item's primary (first) image, 160px WebP from the API
+//
+// Why a Fixed-Size Box:
+// - Rows have a fixed height for react-window; the box keeps every row
+//   aligned whether or not the item has an image
+// - loading='lazy' + the API's immutable cache headers mean a thumbnail is
+//   downloaded once, even as rows scroll in and out of view
+const THUMBNAIL_SIZE = 40;
+
+const ItemThumbnail = ({ item }) => {
+  const primaryImage = item.images && item.images[0];
+  const boxStyle = {
+    flexShrink: 0,
+    width: THUMBNAIL_SIZE,
+    height: THUMBNAIL_SIZE,
+    borderRadius: '4px',
+    objectFit: 'cover',
+  };
+
+  if (!primaryImage) {
+    return (
+      <div
+        aria-hidden='true'
+        style={{
+          ...boxStyle,
+          background: `hsl(${(item.id * 137.5) % 360}, 70%, 80%)`,
+        }}
+      />
+    );
+  }
+  return (
+    <img
+      src={`/api/items/${item.id}/images/${primaryImage.id}/thumbnail`}
+      alt=''
+      loading='lazy'
+      width={THUMBNAIL_SIZE}
+      height={THUMBNAIL_SIZE}
+      style={boxStyle}
+    />
+  );
+};
+
 //  MEMOIZED ITEM COMPONENT - The Performance Foundation
 //
 // Why memo() is Essential Here:
@@ -38,7 +80,9 @@ const ItemRow = memo(({ index, style, data }) => {
     if (!query || !text) return text;
 
     // Split text by search term while preserving the term
-    const parts = text.split(new RegExp(`(${query})`, 'gi'));
+    // Escape the query so characters like "(" are matched literally
+    const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const parts = text.split(new RegExp(`(${escaped})`, 'gi'));
     return parts.map((part, i) =>
       part.toLowerCase() === query.toLowerCase() ? (
         <mark key={i} style={{ backgroundColor: '#ffeb3b', padding: '0 2px' }}>
@@ -67,20 +111,27 @@ const ItemRow = memo(({ index, style, data }) => {
         onMouseLeave={(e) => {
           e.currentTarget.style.backgroundColor = '#f9f9f9';
         }}>
-        <Link
-          to={'/items/' + item.id}
-          style={{
-            textDecoration: 'none',
-            color: '#007bff',
-            fontWeight: 'bold',
-            display: 'block',
-            marginBottom: '5px',
-          }}>
-          {highlightText(item.name, searchQuery)}
-        </Link>
-        <div style={{ fontSize: '14px', color: '#666' }}>
-          Category: {highlightText(item.category, searchQuery)} | Price: $
-          {item.price}
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <ItemThumbnail item={item} />
+          <div style={{ minWidth: 0 }}>
+            <Link
+              to={'/items/' + item.id}
+              style={{
+                textDecoration: 'none',
+                color: '#007bff',
+                fontWeight: 'bold',
+                display: 'block',
+                marginBottom: '5px',
+              }}>
+              {highlightText(item.name, searchQuery)}
+            </Link>
+            <div style={{ fontSize: '14px', color: '#666' }}>
+              Category: {highlightText(item.category, searchQuery)} | Price: $
+              {item.price}
+              {item.reviewCount > 0 &&
+                ` | ★ ${item.rating.toFixed(1)} (${item.reviewCount})`}
+            </div>
+          </div>
         </div>
       </div>
     </div>
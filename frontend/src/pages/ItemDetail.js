@@ -1,11 +1,34 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useCallback, useEffect, useState, useRef } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
+import PriceHistoryChart from '../components/PriceHistoryChart';
+import VariantPicker from '../components/VariantPicker';
+import StarRating from '../components/StarRating';
+import ItemReviews from '../components/ItemReviews';
+
+// "screenSize" / "screen_size" -> "Screen Size"
+const formatAttributeName = (key) =>
+  key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .replace(/\b\w/g, (c) => c.toUpperCase());
+
+const formatAttributeValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number') return value.toLocaleString();
+  return value;
+};
 
 function ItemDetail() {
   const { id } = useParams();
   const [item, setItem] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // { currentPrice, changes } from /api/items/:id/prices - null until loaded
+  const [priceHistory, setPriceHistory] = useState(null);
+  // SKU picked in the variant picker - null shows the first variant
+  const [selectedSku, setSelectedSku] = useState(null);
+  // Image shown in the header - null shows the primary (first) image
+  const [selectedImageId, setSelectedImageId] = useState(null);
   const navigate = useNavigate();
   const isMountedRef = useRef(true);
 
@@ -18,6 +41,8 @@ function ItemDetail() {
       try {
         setLoading(true);
         setError(null);
+        setSelectedSku(null);
+        setSelectedImageId(null);
 
         const response = await fetch(`/api/items/${id}`, {
           signal: abortController.signal,
@@ -53,8 +78,61 @@ function ItemDetail() {
     };
   }, [id]);
 
+  // 📈 PRICE HISTORY - Loaded separately so a slow or failed history request
+  // never blocks the item itself; the chart section just stays hidden
+  useEffect(() => {
+    const abortController = new AbortController();
+    setPriceHistory(null);
+
+    fetch(`/api/items/${id}/prices`, { signal: abortController.signal })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(setPriceHistory)
+      .catch((err) => {
+        if (err.name !== 'AbortError') {
+          console.error('Failed to fetch price history:', err);
+        }
+      });
+
+    return () => abortController.abort();
+  }, [id]);
+
   // Cleanup on unmount - handled in main useEffect
 
+  // 🎛️ VARIANTS - the selected variant's price and stock replace the item's
+  const variants = (item && item.variants) || [];
+  const selectedVariant =
+    variants.find((variant) => variant.sku === selectedSku) ||
+    variants[0] ||
+    null;
+  const displayPrice = selectedVariant
+    ? selectedVariant.price
+    : item && item.price;
+
+  // 📦 AVAILABILITY - unreserved units, low-stock warning from the item's threshold
+  const available = selectedVariant
+    ? selectedVariant.stock
+    : item
+    ? (item.stock || 0) - (item.reserved || 0)
+    : 0;
+  const isLowStock = item && available <= (item.lowStockThreshold ?? 5);
+  const attributeEntries = Object.entries((item && item.attributes) || {});
+
+  // 🖼️ IMAGES - uploaded photos replace the placeholder icon in the header
+  const images = (item && item.images) || [];
+  const selectedImage =
+    images.find((image) => image.id === selectedImageId) || images[0] || null;
+  const tags = (item && item.tags) || [];
+
+  // ⭐ RATING - a new review sends back the item's updated aggregate
+  const handleRatingChange = useCallback(({ rating, reviewCount }) => {
+    setItem((current) => current && { ...current, rating, reviewCount });
+  }, []);
+
   // BEAUTIFUL LOADING STATE
   if (loading) {
     return (
@@ -252,26 +330,86 @@ function ItemDetail() {
               position: 'relative',
               zIndex: 1,
             }}>
-            <div
-              style={{
-                display: 'inline-block',
-                background: 'rgba(255, 255, 255, 0.2)',
-                padding: '1rem',
-                borderRadius: '1rem',
-                fontSize: '3rem',
-                marginBottom: '1rem',
-                backdropFilter: 'blur(10px)',
-              }}>
-              {item.category === 'Electronics'
-                ? '💻'
-                : item.category === 'Clothing'
-                ? '👕'
-                : item.category === 'Books'
-                ? '📚'
-                : item.category === 'Sports'
-                ? '⚽'
-                : '🛍️'}
-            </div>
+            {selectedImage ? (
+              <div style={{ marginBottom: '1rem' }}>
+                <img
+                  src={`/api/items/${item.id}/images/${selectedImage.id}/original`}
+                  alt={item.name}
+                  width={selectedImage.width}
+                  height={selectedImage.height}
+                  style={{
+                    display: 'block',
+                    margin: '0 auto',
+                    maxWidth: '100%',
+                    maxHeight: '320px',
+                    width: 'auto',
+                    height: 'auto',
+                    borderRadius: '1rem',
+                    boxShadow: '0 10px 25px -5px rgba(0, 0, 0, 0.25)',
+                  }}
+                />
+                {images.length > 1 && (
+                  <div
+                    style={{
+                      display: 'flex',
+                      gap: '0.5rem',
+                      justifyContent: 'center',
+                      flexWrap: 'wrap',
+                      marginTop: '1rem',
+                    }}>
+                    {images.map((image, index) => (
+                      <button
+                        key={image.id}
+                        type='button'
+                        aria-label={`Show image ${index + 1}`}
+                        aria-pressed={image.id === selectedImage.id}
+                        onClick={() => setSelectedImageId(image.id)}
+                        style={{
+                          padding: 0,
+                          border: '3px solid',
+                          borderColor:
+                            image.id === selectedImage.id
+                              ? 'white'
+                              : 'transparent',
+                          borderRadius: '0.5rem',
+                          background: 'none',
+                          cursor: 'pointer',
+                          overflow: 'hidden',
+                        }}>
+                        <img
+                          src={`/api/items/${item.id}/images/${image.id}/thumbnail`}
+                          alt=''
+                          width='56'
+                          height='56'
+                          style={{ display: 'block', objectFit: 'cover' }}
+                        />
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ) : (
+              <div
+                style={{
+                  display: 'inline-block',
+                  background: 'rgba(255, 255, 255, 0.2)',
+                  padding: '1rem',
+                  borderRadius: '1rem',
+                  fontSize: '3rem',
+                  marginBottom: '1rem',
+                  backdropFilter: 'blur(10px)',
+                }}>
+                {item.category === 'Electronics'
+                  ? '💻'
+                  : item.category === 'Clothing'
+                  ? '👕'
+                  : item.category === 'Books'
+                  ? '📚'
+                  : item.category === 'Sports'
+                  ? '⚽'
+                  : '🛍️'}
+              </div>
+            )}
 
             <div
               style={{
@@ -308,6 +446,29 @@ function ItemDetail() {
               {item.name}
             </h1>
 
+            <div
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: '0.5rem',
+                color: '#6b7280',
+                fontSize: '0.875rem',
+              }}>
+              {item.reviewCount > 0 ? (
+                <>
+                  <StarRating rating={item.rating} size='1.25rem' />
+                  <span style={{ fontWeight: '600', color: '#374151' }}>
+                    {item.rating.toFixed(1)}
+                  </span>
+                  ({item.reviewCount}{' '}
+                  {item.reviewCount === 1 ? 'review' : 'reviews'})
+                </>
+              ) : (
+                'No reviews yet'
+              )}
+            </div>
+
             <div
               style={{
                 fontSize: '3rem',
@@ -320,120 +481,140 @@ function ItemDetail() {
                 margin: '2rem 0',
               }}>
               <span style={{ fontSize: '1.5rem', opacity: '0.8' }}>$</span>
-              {item.price.toLocaleString()}
+              {displayPrice.toLocaleString()}
             </div>
-          </div>
 
-          {/* Feature Highlights */}
-          <div
-            style={{
-              display: 'grid',
-              gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
-              gap: '1.5rem',
-              marginTop: '3rem',
-            }}>
+            <VariantPicker
+              variants={variants}
+              selectedSku={selectedVariant && selectedVariant.sku}
+              onSelect={setSelectedSku}
+            />
+
             <div
               style={{
-                background: '#f8fafc',
-                padding: '1.5rem',
-                borderRadius: '1rem',
-                border: '2px solid #e2e8f0',
-                textAlign: 'center',
+                display: 'inline-block',
+                padding: '0.5rem 1rem',
+                borderRadius: '2rem',
+                fontSize: '0.875rem',
+                fontWeight: '600',
+                background:
+                  available <= 0
+                    ? '#fee2e2'
+                    : isLowStock
+                    ? '#fef3c7'
+                    : '#d1fae5',
+                color:
+                  available <= 0
+                    ? '#b91c1c'
+                    : isLowStock
+                    ? '#b45309'
+                    : '#047857',
               }}>
-              <div
-                style={{
-                  fontSize: '2rem',
-                  marginBottom: '0.75rem',
-                }}>
-                🚚
-              </div>
-              <h4
-                style={{
-                  fontSize: '1rem',
-                  fontWeight: '600',
-                  color: '#374151',
-                  margin: '0 0 0.5rem 0',
-                }}>
-                Free Shipping
-              </h4>
-              <p
-                style={{
-                  fontSize: '0.875rem',
-                  color: '#6b7280',
-                  margin: '0',
-                }}>
-                Fast & reliable delivery
-              </p>
+              {available <= 0
+                ? '❌ Out of stock'
+                : isLowStock
+                ? `⚠️ Only ${available} left`
+                : `✅ ${available} in stock`}
             </div>
+          </div>
 
+          {/* Price History */}
+          {priceHistory && (
             <div
               style={{
                 background: '#f8fafc',
                 padding: '1.5rem',
                 borderRadius: '1rem',
                 border: '2px solid #e2e8f0',
-                textAlign: 'center',
               }}>
-              <div
-                style={{
-                  fontSize: '2rem',
-                  marginBottom: '0.75rem',
-                }}>
-                🛡️
-              </div>
               <h4
                 style={{
                   fontSize: '1rem',
                   fontWeight: '600',
                   color: '#374151',
-                  margin: '0 0 0.5rem 0',
+                  margin: '0 0 1rem 0',
                 }}>
-                Quality Guaranteed
+                📈 Price History
               </h4>
-              <p
-                style={{
-                  fontSize: '0.875rem',
-                  color: '#6b7280',
-                  margin: '0',
-                }}>
-                30-day return policy
-              </p>
+              <PriceHistoryChart
+                changes={priceHistory.changes}
+                currentPrice={priceHistory.currentPrice}
+              />
             </div>
+          )}
 
-            <div
-              style={{
-                background: '#f8fafc',
-                padding: '1.5rem',
-                borderRadius: '1rem',
-                border: '2px solid #e2e8f0',
-                textAlign: 'center',
-              }}>
-              <div
-                style={{
-                  fontSize: '2rem',
-                  marginBottom: '0.75rem',
-                }}>
-                ⭐
-              </div>
-              <h4
-                style={{
-                  fontSize: '1rem',
-                  fontWeight: '600',
-                  color: '#374151',
-                  margin: '0 0 0.5rem 0',
-                }}>
-                Top Rated
-              </h4>
-              <p
-                style={{
-                  fontSize: '0.875rem',
-                  color: '#6b7280',
-                  margin: '0',
-                }}>
-                Customer favorite
-              </p>
+          {/* Specifications - the item's attributes and tags */}
+          {(attributeEntries.length > 0 || tags.length > 0) && (
+            <div style={{ marginTop: '3rem' }}>
+              {attributeEntries.length > 0 && (
+                <div
+                  style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+                    gap: '1.5rem',
+                  }}>
+                  {attributeEntries.map(([key, value]) => (
+                    <div
+                      key={key}
+                      style={{
+                        background: '#f8fafc',
+                        padding: '1.5rem',
+                        borderRadius: '1rem',
+                        border: '2px solid #e2e8f0',
+                        textAlign: 'center',
+                      }}>
+                      <h4
+                        style={{
+                          fontSize: '0.75rem',
+                          fontWeight: '600',
+                          color: '#6b7280',
+                          margin: '0 0 0.5rem 0',
+                          textTransform: 'uppercase',
+                          letterSpacing: '0.05em',
+                        }}>
+                        {formatAttributeName(key)}
+                      </h4>
+                      <p
+                        style={{
+                          fontSize: '1.125rem',
+                          fontWeight: '600',
+                          color: '#374151',
+                          margin: '0',
+                        }}>
+                        {formatAttributeValue(value)}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {tags.length > 0 && (
+                <div
+                  style={{
+                    display: 'flex',
+                    flexWrap: 'wrap',
+                    gap: '0.5rem',
+                    justifyContent: 'center',
+                    marginTop: '1.5rem',
+                  }}>
+                  {tags.map((tag) => (
+                    <span
+                      key={tag}
+                      style={{
+                        background: 'rgba(102, 126, 234, 0.1)',
+                        color: '#4c51bf',
+                        padding: '0.375rem 0.875rem',
+                        borderRadius: '2rem',
+                        fontSize: '0.875rem',
+                        fontWeight: '500',
+                      }}>
+                      #{tag}
+                    </span>
+                  ))}
+                </div>
+              )}
             </div>
-          </div>
+          )}
 
           {/* Action Buttons */}
           <div
@@ -445,6 +626,7 @@ function ItemDetail() {
               flexWrap: 'wrap',
             }}>
             <button
+              disabled={available <= 0}
               style={{
                 padding: '1rem 2rem',
                 background: 'linear-gradient(135deg, #059669 0%, #047857 100%)',
@@ -453,7 +635,8 @@ function ItemDetail() {
                 borderRadius: '0.75rem',
                 fontSize: '1rem',
                 fontWeight: '700',
-                cursor: 'pointer',
+                cursor: available <= 0 ? 'not-allowed' : 'pointer',
+                opacity: available <= 0 ? 0.5 : 1,
                 transition: 'all 0.2s ease',
                 boxShadow: '0 4px 12px rgba(5, 150, 105, 0.3)',
               }}
@@ -493,6 +676,9 @@ function ItemDetail() {
               ❤️ Add to Wishlist
             </button>
           </div>
+
+          {/* Reviews */}
+          <ItemReviews itemId={item.id} onRatingChange={handleRatingChange} />
         </div>
       </div>
     </div>
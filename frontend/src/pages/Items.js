@@ -2,10 +2,25 @@ import React, { useEffect, useRef, useState, useCallback } from 'react';
 import { useData } from '../state/DataContext';
 import { Link } from 'react-router-dom';
 import VirtualizedItemList from '../components/VirtualizedItemList';
+import SearchSuggestions from '../components/SearchSuggestions';
+import FacetFilters from '../components/FacetFilters';
+import ExportButton from '../components/ExportButton';
+
+const NO_FILTERS = { categories: [], minPrice: null, priceBelow: null };
+// Shorter than the list's 300ms so suggestions show up before the results
+const SUGGEST_DEBOUNCE_MS = 200;
 
 function Items() {
-  const { items, pagination, loading, searchQuery, fetchItems, searchItems } =
-    useData();
+  const {
+    items,
+    pagination,
+    loading,
+    searchQuery,
+    facets,
+    fetchItems,
+    searchItems,
+    getExportUrl,
+  } = useData();
 
   // 🔒 MEMORY LEAK PREVENTION - Why useRef is Essential Here:
   // - useRef persists across renders without causing re-renders
@@ -17,9 +32,17 @@ function Items() {
   // Local state for search input with debouncing
   const [searchInput, setSearchInput] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
+  // Facet selections - sent with every list request alongside the search term
+  const [activeFilters, setActiveFilters] = useState(NO_FILTERS);
   const [useVirtualization, setUseVirtualization] = useState(false);
   const debounceTimeoutRef = useRef(null);
 
+  // Typeahead state - flat list of { type, value, count } from /api/items/suggest
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+  const suggestAbortRef = useRef(null);
+  const suggestTimeoutRef = useRef(null);
+
   // 🚀 PERFORMANCE OPTIMIZATION - Why useCallback + Debouncing is Critical:
   //
   // useCallback Benefits:
@@ -55,6 +78,7 @@ function Items() {
           page,
           limit: 10,
           search: query,
+          filters: activeFilters,
         }).catch((error) => {
           // Only log errors if component is still mounted and error isn't from abort
           // This prevents console spam from cancelled requests
@@ -64,7 +88,66 @@ function Items() {
         });
       }, 300); // 300ms debounce delay - optimal balance between responsiveness and efficiency
     },
-    [fetchItems, searchItems] // Dependencies: only recreate if these functions change
+    [fetchItems, searchItems, activeFilters] // Recreate when these change
+  );
+
+  //  TYPEAHEAD - Debounced Like the List Search:
+  // - Fast typing sends one /api/items/suggest request, not one per keystroke
+  // - Closing the suggestions cancels both the pending timeout and any
+  //   in-flight request, so only the latest prefix can land
+  const closeSuggestions = useCallback(() => {
+    if (suggestTimeoutRef.current) {
+      clearTimeout(suggestTimeoutRef.current);
+    }
+    if (suggestAbortRef.current) {
+      suggestAbortRef.current.abort();
+    }
+    setSuggestions([]);
+    setActiveSuggestion(-1);
+  }, []);
+
+  const fetchSuggestions = useCallback(
+    (query) => {
+      closeSuggestions();
+      if (!query.trim()) return;
+
+      suggestTimeoutRef.current = setTimeout(async () => {
+        const abortController = new AbortController();
+        suggestAbortRef.current = abortController;
+
+        try {
+          const params = new URLSearchParams({ q: query.trim(), limit: '5' });
+          const res = await fetch(`/api/items/suggest?${params}`, {
+            signal: abortController.signal,
+          });
+          if (!res.ok) {
+            throw new Error(`HTTP error! status: ${res.status}`);
+          }
+          const json = await res.json();
+
+          if (isMountedRef.current && !abortController.signal.aborted) {
+            setSuggestions([
+              ...json.names.map((s) => ({ ...s, type: 'name' })),
+              ...json.categories.map((s) => ({ ...s, type: 'category' })),
+            ]);
+          }
+        } catch (error) {
+          if (isMountedRef.current && error.name !== 'AbortError') {
+            console.error('Failed to fetch suggestions:', error);
+          }
+        }
+      }, SUGGEST_DEBOUNCE_MS);
+    },
+    [closeSuggestions]
+  );
+
+  const selectSuggestion = useCallback(
+    (suggestion) => {
+      setSearchInput(suggestion.value);
+      closeSuggestions();
+      debouncedSearch(suggestion.value, 1);
+    },
+    [closeSuggestions, debouncedSearch]
   );
 
   // 🎯 EVENT HANDLER OPTIMIZATION - Why useCallback is Essential:
@@ -77,8 +160,30 @@ function Items() {
       const value = e.target.value;
       setSearchInput(value);
       debouncedSearch(value, 1); // Reset to page 1 on new search
+      fetchSuggestions(value);
+    },
+    [debouncedSearch, fetchSuggestions] // Only recreate if these change
+  );
+
+  // ⌨️ KEYBOARD NAVIGATION - ArrowUp/ArrowDown move, Enter picks, Escape closes
+  const handleSearchKeyDown = useCallback(
+    (e) => {
+      if (suggestions.length === 0) return;
+
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setActiveSuggestion((i) => (i + 1) % suggestions.length);
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActiveSuggestion((i) => (i <= 0 ? suggestions.length - 1 : i - 1));
+      } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+        e.preventDefault();
+        selectSuggestion(suggestions[activeSuggestion]);
+      } else if (e.key === 'Escape') {
+        closeSuggestions();
+      }
     },
-    [debouncedSearch] // Only recreate if debouncedSearch changes
+    [suggestions, activeSuggestion, selectSuggestion, closeSuggestions]
   );
 
   // Handle pagination
@@ -93,13 +198,72 @@ function Items() {
         page: newPage,
         limit: 10,
         search: searchQuery,
+        filters: activeFilters,
+      }).catch((error) => {
+        if (isMountedRef.current && error.name !== 'AbortError') {
+          console.error('Failed to fetch items:', error);
+        }
+      });
+    },
+    [fetchItems, searchQuery, activeFilters, pagination.totalPages]
+  );
+
+  // 🏷️ FACET FILTERS - Any change resets to page 1 and refetches immediately
+  const applyFilters = useCallback(
+    (nextFilters) => {
+      setActiveFilters(nextFilters);
+      setCurrentPage(1);
+      const abortController = new AbortController();
+
+      fetchItems(abortController.signal, {
+        page: 1,
+        limit: 10,
+        search: searchQuery,
+        filters: nextFilters,
       }).catch((error) => {
         if (isMountedRef.current && error.name !== 'AbortError') {
           console.error('Failed to fetch items:', error);
         }
       });
     },
-    [fetchItems, searchQuery, pagination.totalPages]
+    [fetchItems, searchQuery]
+  );
+
+  const handleToggleCategory = useCallback(
+    (category) => {
+      const categories = activeFilters.categories.includes(category)
+        ? activeFilters.categories.filter((c) => c !== category)
+        : [...activeFilters.categories, category];
+      applyFilters({ ...activeFilters, categories });
+    },
+    [activeFilters, applyFilters]
+  );
+
+  // Clicking the active bucket again clears the price range
+  const handleSelectPriceBucket = useCallback(
+    (bucket) => {
+      const isActive =
+        activeFilters.minPrice === bucket.min &&
+        activeFilters.priceBelow === bucket.max;
+      applyFilters({
+        ...activeFilters,
+        minPrice: isActive ? null : bucket.min,
+        priceBelow: isActive ? null : bucket.max,
+      });
+    },
+    [activeFilters, applyFilters]
+  );
+
+  const handleClearFilters = useCallback(
+    () => applyFilters(NO_FILTERS),
+    [applyFilters]
+  );
+
+  // Export link always matches what the list is showing
+  const getCurrentExportUrl = useCallback(
+    (format) =>
+      getExportUrl(format, { search: searchQuery, filters: activeFilters }),
+    [getExportUrl, searchQuery, activeFilters]
   );
 
   //  INITIAL DATA LOADING - The Complete Memory Leak Prevention Pattern
@@ -148,6 +312,14 @@ function Items() {
       if (debounceTimeoutRef.current) {
         clearTimeout(debounceTimeoutRef.current);
       }
+
+      // Cancel a pending or in-flight typeahead request
+      if (suggestTimeoutRef.current) {
+        clearTimeout(suggestTimeoutRef.current);
+      }
+      if (suggestAbortRef.current) {
+        suggestAbortRef.current.abort();
+      }
     };
   }, [fetchItems]); // Dependency: re-run if fetchItems changes
 
@@ -439,7 +611,17 @@ function Items() {
               placeholder='Search items by name or category...'
               value={searchInput}
               onChange={handleSearchChange}
-              disabled={loading}
+              onKeyDown={handleSearchKeyDown}
+              // Stays enabled while loading so typing and the typeahead keep focus
+              role='combobox'
+              aria-autocomplete='list'
+              aria-expanded={suggestions.length > 0}
+              aria-controls='search-suggestions'
+              aria-activedescendant={
+                activeSuggestion >= 0
+                  ? `search-suggestions-${activeSuggestion}`
+                  : undefined
+              }
               style={{
                 width: '100%',
                 padding: '1rem 1rem 1rem 3rem',
@@ -450,7 +632,6 @@ function Items() {
                 transition: 'all 0.2s ease',
                 outline: 'none',
                 boxSizing: 'border-box',
-                opacity: loading ? 0.6 : 1,
                 ':focus': {
                   borderColor: '#667eea',
                   backgroundColor: 'white',
@@ -466,8 +647,15 @@ function Items() {
                 e.target.style.borderColor = '#e2e8f0';
                 e.target.style.backgroundColor = '#f8fafc';
                 e.target.style.boxShadow = 'none';
+                closeSuggestions();
               }}
             />
+            <SearchSuggestions
+              id='search-suggestions'
+              suggestions={suggestions}
+              activeIndex={activeSuggestion}
+              onSelect={selectSuggestion}
+            />
           </div>
 
           {/* Controls Row */}
@@ -524,6 +712,12 @@ function Items() {
               )}
             </label>
 
+            {/* Export current results */}
+            <ExportButton
+              getUrl={getCurrentExportUrl}
+              disabled={pagination.total === 0}
+            />
+
             {/* Loading Indicator */}
             {loading && (
               <div
@@ -550,6 +744,16 @@ function Items() {
         </div>
       </div>
 
+      {/* 🏷️ FACET FILTERS */}
+      <FacetFilters
+        facets={facets}
+        activeFilters={activeFilters}
+        onToggleCategory={handleToggleCategory}
+        onSelectPriceBucket={handleSelectPriceBucket}
+        onClear={handleClearFilters}
+        disabled={loading}
+      />
+
       {/* 📊 RESULTS SUMMARY & PERFORMANCE INFO */}
       {(searchQuery || items.length > 0) && (
         <div
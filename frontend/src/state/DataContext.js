@@ -2,6 +2,27 @@ import React, { createContext, useCallback, useContext, useState } from 'react';
 
 const DataContext = createContext();
 
+const API_URL = 'http://localhost:4001/api/items';
+
+// Helper function to add the search term and structured filters to a query
+// Shared by the list request and the export link so both match the same items
+function appendSearchParams(params, search = '', filters = {}) {
+  if (search.trim()) {
+    params.append('q', search.trim());
+  }
+  (filters.categories || []).forEach((category) =>
+    params.append('category', category)
+  );
+  if (filters.minPrice != null) {
+    params.append('minPrice', filters.minPrice.toString());
+  }
+  // Facet buckets are [min, max), so the upper bound is exclusive
+  if (filters.priceBelow != null) {
+    params.append('priceBelow', filters.priceBelow.toString());
+  }
+  return params;
+}
+
 export function DataProvider({ children }) {
   const [items, setItems] = useState([]);
   const [pagination, setPagination] = useState({
@@ -14,6 +35,8 @@ export function DataProvider({ children }) {
   });
   const [loading, setLoading] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  // Category + price-bucket counts for the current query (from ?facets=)
+  const [facets, setFacets] = useState(null);
 
   //  CONTEXT PERFORMANCE OPTIMIZATION - Why useCallback is Critical Here:
   //
@@ -28,7 +51,7 @@ export function DataProvider({ children }) {
   // - Prevents state updates on unmounted components
   // - Essential for components that fetch data and might unmount quickly
   const fetchItems = useCallback(async (abortSignal, options = {}) => {
-    const { page = 1, limit = 10, search = '' } = options;
+    const { page = 1, limit = 10, search = '', filters = {} } = options;
 
     setLoading(true);
 
@@ -42,16 +65,20 @@ export function DataProvider({ children }) {
         limit: limit.toString(),
       });
 
-      if (search.trim()) {
-        params.append('q', search.trim());
-      }
+      //  STRUCTURED FILTERS - ANDed with the search term by the API
+      // Facet counts are always requested so the filter panel stays in sync
+      appendSearchParams(params, search, filters);
+      params.append('facets', 'category,price');
 
       //  ABORT SIGNAL INTEGRATION - Request cancellation support
       // - Pass abort signal to fetch for browser-level cancellation
       // - Prevents memory leaks from dangling promises
       // - Improves app performance by cancelling unnecessary requests
-      const res = await fetch(`http://localhost:4001/api/items?${params}`, {
+      const res = await fetch(`${API_URL}?${params}`, {
         signal: abortSignal, // CRITICAL: Enables request cancellation
+        // Revalidate with If-None-Match: an unchanged page comes back as a
+        // body-less 304 and the browser serves its cached copy
+        cache: 'no-cache',
       });
 
       if (!res.ok) {
@@ -69,6 +96,7 @@ export function DataProvider({ children }) {
           // New paginated format - preferred for performance
           setItems(json.items);
           setPagination(json.pagination);
+          setFacets(json.facets || null);
         } else {
           // Old format (array of items) - fallback for compatibility
           setItems(Array.isArray(json) ? json : []);
@@ -88,6 +116,7 @@ export function DataProvider({ children }) {
         console.error('Failed to fetch items:', error);
         // Set empty state on error - prevents broken UI states
         setItems([]);
+        setFacets(null);
         setPagination({
           total: 0,
           totalPages: 0,
@@ -110,13 +139,26 @@ export function DataProvider({ children }) {
     setSearchQuery(query);
   }, []);
 
+  // Download link for the current search + filters (csv, ndjson or json)
+  // Absolute URL: the dev-server proxy skips browser navigations (Accept: text/html)
+  const getExportUrl = useCallback((format, { search = '', filters = {} }) => {
+    const params = appendSearchParams(
+      new URLSearchParams({ format }),
+      search,
+      filters
+    );
+    return `${API_URL}/export?${params}`;
+  }, []);
+
   const value = {
     items,
     pagination,
     loading,
     searchQuery,
+    facets,
     fetchItems,
     searchItems,
+    getExportUrl,
   };
 
   return <DataContext.Provider value={value}>{children}</DataContext.Provider>;